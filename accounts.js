@@ -0,0 +1,232 @@
+/**
+ * Accounts
+ *
+ * An account groups the login identities of one person. An identity is an
+ * (issuer, subject) pair with its own salt and zkLogin address: linking a
+ * second provider adds an identity to the account, it never moves assets or
+ * changes an address.
+ *
+ * Every identity gets an account of its own at first sign-in. Linking moves an
+ * identity into another account and must only be done once both logins were
+ * verified in the same session (see ZkLogin.linkIdentity()).
+ */
+
+const crypto = require('crypto');
+const { ensureMigrated } = require('./schema-migrations');
+const { ZkLoginError } = require('./errors');
+
+const ACCOUNTS = 'accounts';
+const IDENTITIES = 'account_identities';
+
+// Created by migrations/005_accounts.js
+const TABLES = [
+    {
+        name: ACCOUNTS,
+        columns: {
+            id: 'text',
+            created_at: 'text'
+        },
+        primaryKey: 'id'
+    },
+    {
+        name: IDENTITIES,
+        columns: {
+            issuer: 'text',
+            subject: 'text',
+            account_id: 'text',
+            provider: 'text',
+            address: { type: 'text', nullable: true },
+            linked_at: 'text'
+        },
+        primaryKey: ['issuer', 'subject'],
+        indexes: ['account_id']
+    }
+];
+
+const identityKey = ({ issuer, subject }) => ({ issuer, subject });
+
+/**
+ * Accounts and their identities on a storage backend
+ */
+class AccountStore {
+    /**
+     * @param {Object} storage - Backend from createStorage(), usually the salt database's
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.initialized = false;
+        this.initPromise = ensureMigrated(storage).then(() => TABLES.forEach((table) => storage.registerTable(table)));
+    }
+
+    /**
+     * Ensure the schema is migrated before operations
+     */
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initPromise;
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Get the account of an identity, creating one on its first sign-in
+     * The identity's provider and address are kept current.
+     * @param {Object} identity - { issuer, subject, provider, address }
+     * @returns {Promise<string>} - Account ID
+     */
+    async recordSignIn(identity) {
+        await this.ensureInitialized();
+        try {
+            return await this.storage.transaction((storage) => this.attachIdentity(storage, identity));
+        } catch (error) {
+            // A concurrent sign-in created the account first
+            const accountId = error.code === 'STORAGE_DUPLICATE_KEY' && await this.getAccountId(identity);
+            if (!accountId) {
+                throw error;
+            }
+            return accountId;
+        }
+    }
+
+    async attachIdentity(storage, { issuer, subject, provider, address = null }) {
+        const existing = await storage.get(IDENTITIES, { issuer, subject });
+        if (existing) {
+            if (existing.provider !== provider || existing.address !== address) {
+                await storage.update(IDENTITIES, { issuer, subject }, { provider, address });
+            }
+            return existing.account_id;
+        }
+
+        const now = new Date().toISOString();
+        const accountId = crypto.randomUUID();
+        await storage.insert(ACCOUNTS, { id: accountId, created_at: now });
+        await storage.insert(IDENTITIES, { issuer, subject, account_id: accountId, provider, address, linked_at: now });
+        return accountId;
+    }
+
+    /**
+     * Get the account ID of an identity
+     * @returns {Promise<string|null>}
+     */
+    async getAccountId(identity) {
+        await this.ensureInitialized();
+        const row = await this.storage.get(IDENTITIES, identityKey(identity));
+        return row ? row.account_id : null;
+    }
+
+    /**
+     * Get an account with its identities, oldest link first
+     * @returns {Promise<Object|null>} - { id, createdAt, identities: [{ issuer, subject, provider, address, linkedAt }] }
+     */
+    async getAccount(accountId) {
+        await this.ensureInitialized();
+        const account = await this.storage.get(ACCOUNTS, { id: accountId });
+        if (!account) {
+            return null;
+        }
+        const identities = await this.storage.find(IDENTITIES, { account_id: accountId }, { orderBy: { linked_at: 'asc' } });
+        return {
+            id: account.id,
+            createdAt: account.created_at,
+            identities: identities.map((row) => ({
+                issuer: row.issuer,
+                subject: row.subject,
+                provider: row.provider,
+                address: row.address,
+                linkedAt: row.linked_at
+            }))
+        };
+    }
+
+    /**
+     * Add an identity to the account of another
+     * An identity that is alone in its own account moves over and that account
+     * is removed; one that shares an account with other identities has to be
+     * unlinked there first.
+     * @param {Object} primary - Identity whose account is kept
+     * @param {Object} secondary - Identity to link
+     * @returns {Promise<Object>} - The account, see getAccount()
+     */
+    async linkIdentities(primary, secondary) {
+        await this.ensureInitialized();
+        if (primary.issuer === secondary.issuer && primary.subject === secondary.subject) {
+            throw new ZkLoginError('An identity cannot be linked to itself', 'ACCOUNT_LINK_INVALID');
+        }
+
+        const accountId = await this.storage.transaction(async (storage) => {
+            const targetId = await this.attachIdentity(storage, primary);
+            const existing = await storage.get(IDENTITIES, identityKey(secondary));
+            if (!existing) {
+                await storage.insert(IDENTITIES, {
+                    ...identityKey(secondary),
+                    account_id: targetId,
+                    provider: secondary.provider,
+                    address: secondary.address || null,
+                    linked_at: new Date().toISOString()
+                });
+                return targetId;
+            }
+            if (existing.account_id === targetId) {
+                await this.attachIdentity(storage, secondary);
+                return targetId;
+            }
+
+            if (await storage.count(IDENTITIES, { account_id: existing.account_id }) > 1) {
+                throw new ZkLoginError(
+                    `${secondary.provider} identity ${secondary.subject} belongs to another account with other identities; unlink it there first`,
+                    'ACCOUNT_LINK_CONFLICT',
+                    { accountId: existing.account_id }
+                );
+            }
+            await storage.update(IDENTITIES, identityKey(secondary), {
+                account_id: targetId,
+                provider: secondary.provider,
+                address: secondary.address || null,
+                linked_at: new Date().toISOString()
+            });
+            await storage.delete(ACCOUNTS, { id: existing.account_id });
+            return targetId;
+        });
+        return this.getAccount(accountId);
+    }
+
+    /**
+     * Move an identity out of an account into an account of its own
+     * @param {string} accountId - Account the identity is in
+     * @param {Object} identity - { issuer, subject }
+     * @returns {Promise<string>} - ID of the identity's new account
+     */
+    async unlinkIdentity(accountId, identity) {
+        await this.ensureInitialized();
+        return this.storage.transaction(async (storage) => {
+            const existing = await storage.get(IDENTITIES, identityKey(identity));
+            if (!existing || existing.account_id !== accountId) {
+                throw new ZkLoginError('Identity is not linked to this account', 'ACCOUNT_IDENTITY_NOT_FOUND');
+            }
+            if (await storage.count(IDENTITIES, { account_id: accountId }) === 1) {
+                throw new ZkLoginError('The last identity of an account cannot be unlinked', 'ACCOUNT_LINK_INVALID');
+            }
+
+            const now = new Date().toISOString();
+            const newAccountId = crypto.randomUUID();
+            await storage.insert(ACCOUNTS, { id: newAccountId, created_at: now });
+            await storage.update(IDENTITIES, identityKey(identity), { account_id: newAccountId, linked_at: now });
+            return newAccountId;
+        });
+    }
+
+    /**
+     * Delete an account and its identities (for account erasure)
+     * @returns {Promise<number>} - Number of identities removed
+     */
+    async deleteAccount(accountId) {
+        await this.ensureInitialized();
+        return this.storage.transaction(async (storage) => {
+            const removed = await storage.delete(IDENTITIES, { account_id: accountId });
+            await storage.delete(ACCOUNTS, { id: accountId });
+            return removed;
+        });
+    }
+}
+
+module.exports = { AccountStore };
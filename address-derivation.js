@@ -0,0 +1,220 @@
+/**
+ * zkLogin Address Derivation
+ *
+ * A zkLogin address is derived from the user salt, a key claim (sub or email),
+ * the aud and iss claims, and an address encoding (padded or legacy). These
+ * helpers apply per-provider derivation options and list every address a
+ * JWT and salt could have produced, including ones from earlier versions of
+ * this server.
+ */
+
+const {
+    computeZkLoginAddress,
+    computeZkLoginAddressFromSeed,
+    genAddressSeed
+} = require('@mysten/sui/zklogin');
+const { JwtVerificationError, ZkLoginError } = require('./errors');
+
+const KEY_CLAIM_NAMES = ['sub', 'email'];
+
+// Salts are field elements of the zkLogin circuit
+const BN254_FIELD_SIZE = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+const DEFAULT_DERIVATION = {
+    keyClaimName: 'sub',
+    legacyAddress: false
+};
+
+/**
+ * Convert a stored salt to BigInt
+ * Salts are kept as hex strings (with or without 0x prefix).
+ */
+function toSaltBigInt(salt) {
+    if (typeof salt === 'bigint') {
+        return salt;
+    }
+    const value = String(salt);
+    return BigInt(value.startsWith('0x') ? value : '0x' + value);
+}
+
+/**
+ * Check that a salt can be used in a zkProof
+ * Salts generated by earlier releases were 32 random bytes, usually too large.
+ */
+function isSaltInField(salt) {
+    const value = toSaltBigInt(salt);
+    return value >= 0n && value < BN254_FIELD_SIZE;
+}
+
+/**
+ * Address the salt-seed fallback of earlier releases gave a salt that is not
+ * in the field: the raw salt hashed with "sub" as the issuer. No zkProof can
+ * sign for it.
+ */
+function deriveSaltSeedAddress(salt) {
+    return computeZkLoginAddressFromSeed(toSaltBigInt(salt), 'sub', true);
+}
+
+/**
+ * Check a key claim name
+ */
+function validateKeyClaimName(keyClaimName) {
+    if (!KEY_CLAIM_NAMES.includes(keyClaimName)) {
+        throw new ZkLoginError(
+            `Unsupported key claim: ${keyClaimName} (expected one of ${KEY_CLAIM_NAMES.join(', ')})`,
+            'KEY_CLAIM_UNSUPPORTED'
+        );
+    }
+    return keyClaimName;
+}
+
+/**
+ * Pick the audience an address is bound to
+ * Multi-audience tokens use the app's client ID when it is listed. The zkLogin
+ * circuit reads aud as a string, so proofs for array audiences depend on the prover.
+ * @param {string|string[]} aud - aud claim
+ * @param {string} [clientId] - This app's client ID
+ */
+function resolveAudience(aud, clientId) {
+    if (typeof aud === 'string') {
+        return aud;
+    }
+    if (Array.isArray(aud)) {
+        if (clientId && aud.includes(clientId)) {
+            return clientId;
+        }
+        if (aud.length === 1) {
+            return aud[0];
+        }
+    }
+    throw new JwtVerificationError('JWT audience does not identify this client', 'JWT_AUDIENCE_INVALID', { aud });
+}
+
+/**
+ * Get the value of the key claim, refusing unverified emails
+ */
+function getKeyClaimValue(payload, keyClaimName) {
+    const value = payload[validateKeyClaimName(keyClaimName)];
+    if (typeof value !== 'string' || !value) {
+        throw new JwtVerificationError(`JWT is missing the ${keyClaimName} claim`, 'JWT_CLAIM_INVALID', { claim: keyClaimName });
+    }
+    // Anyone can claim an unverified email, so it cannot name an account
+    if (keyClaimName === 'email' && payload.email_verified !== true && payload.email_verified !== 'true') {
+        throw new JwtVerificationError('JWT email is not verified', 'JWT_CLAIM_INVALID', { claim: 'email_verified' });
+    }
+    return value;
+}
+
+/**
+ * Derive the zkLogin address and address seed for a JWT payload
+ * @param {Object} payload - Decoded JWT payload
+ * @param {string|bigint} salt - User salt
+ * @param {Object} options - { keyClaimName, legacyAddress, clientId }
+ * @returns {Object} - { address, addressSeed, keyClaimName, legacyAddress, aud }
+ */
+function deriveAddress(payload, salt, options = {}) {
+    const keyClaimName = options.keyClaimName || DEFAULT_DERIVATION.keyClaimName;
+    const legacyAddress = !!options.legacyAddress;
+    const claimValue = getKeyClaimValue(payload, keyClaimName);
+    const aud = resolveAudience(payload.aud, options.clientId);
+    const userSalt = toSaltBigInt(salt);
+    if (!isSaltInField(userSalt)) {
+        throw new ZkLoginError('Salt is outside the BN254 field', 'SALT_OUT_OF_FIELD');
+    }
+
+    return {
+        address: computeZkLoginAddress({ claimName: keyClaimName, claimValue, userSalt, iss: payload.iss, aud, legacyAddress }),
+        addressSeed: genAddressSeed(userSalt, keyClaimName, claimValue, aud).toString(),
+        keyClaimName,
+        legacyAddress,
+        aud
+    };
+}
+
+/**
+ * List every address a JWT payload and salt may map to
+ *
+ * Covers both key claims, both address encodings and each audience, plus two
+ * derivations used by earlier releases: the hex salt read as a decimal number
+ * (salts made only of digits), and the seed fallback that hashed the raw salt
+ * with "sub" as the issuer. A salt outside the BN254 field only has the seed
+ * fallback, and no candidate is flagged current. Duplicates are merged.
+ * @param {Object} payload - Decoded JWT payload
+ * @param {string|bigint} salt - User salt
+ * @param {Object} options - Current { keyClaimName, legacyAddress, clientId }, flagged with current: true
+ * @returns {Array} - [{ address, derivation, keyClaimName, legacyAddress, aud, current }]
+ */
+function computeCandidateAddresses(payload, salt, options = {}) {
+    const candidates = new Map();
+    const add = (address, entry) => {
+        if (!candidates.has(address)) {
+            candidates.set(address, { address, ...entry, current: false });
+        }
+    };
+
+    // A salt outside the field has no current address, only the seed fallback
+    const current = isSaltInField(salt) ? deriveAddress(payload, salt, options) : null;
+    if (current) {
+        add(current.address, { derivation: 'current', ...withoutSeed(current) });
+    }
+
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    for (const keyClaimName of current ? KEY_CLAIM_NAMES : []) {
+        for (const aud of audiences) {
+            for (const legacyAddress of [false, true]) {
+                let derived;
+                try {
+                    derived = deriveAddress({ ...payload, aud }, salt, { keyClaimName, legacyAddress });
+                } catch (error) {
+                    // The token has no usable value for this claim
+                    continue;
+                }
+                add(derived.address, { derivation: legacyAddress ? 'legacy' : 'padded', ...withoutSeed(derived) });
+            }
+        }
+    }
+
+    const saltText = typeof salt === 'bigint' ? null : String(salt);
+    if (saltText && /^\d+$/.test(saltText) && BigInt(saltText) < BN254_FIELD_SIZE && typeof payload.sub === 'string') {
+        add(computeZkLoginAddress({
+            claimName: 'sub',
+            claimValue: payload.sub,
+            userSalt: BigInt(saltText),
+            iss: payload.iss,
+            aud: audiences[0]
+        }), { derivation: 'decimal-salt', keyClaimName: 'sub', legacyAddress: false, aud: audiences[0] });
+    }
+
+    add(deriveSaltSeedAddress(salt), {
+        derivation: 'salt-seed-fallback',
+        keyClaimName: null,
+        legacyAddress: true,
+        aud: null
+    });
+
+    if (current) {
+        candidates.get(current.address).current = true;
+    }
+    return Array.from(candidates.values());
+}
+
+/**
+ * Keep the descriptive fields of a deriveAddress() result
+ */
+function withoutSeed({ keyClaimName, legacyAddress, aud }) {
+    return { keyClaimName, legacyAddress, aud };
+}
+
+module.exports = {
+    KEY_CLAIM_NAMES,
+    DEFAULT_DERIVATION,
+    BN254_FIELD_SIZE,
+    toSaltBigInt,
+    isSaltInField,
+    deriveSaltSeedAddress,
+    validateKeyClaimName,
+    resolveAudience,
+    getKeyClaimValue,
+    deriveAddress,
+    computeCandidateAddresses
+};
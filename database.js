@@ -4,16 +4,103 @@
  * This module provides database functionality to store and retrieve
  * custom salts for users, eliminating the one-to-one correspondence
  * between OAuth identifiers and on-chain Sui addresses.
+ *
+ * Salts are envelope-encrypted when a master key is configured (see
+ * salt-keyring.js). Rows written without one, or before encryption was
+ * introduced, have no key_version and are encrypted by rotateSaltKeys().
+ *
+ * Each row records its source: 'generated' (a random salt from
+ * getOrCreateUserSalt) or 'override' (an explicit salt that takes precedence
+ * over derived salts, see salt-derivation.js).
+ *
+ * Every salt an identity has had is kept in salt_history with the address it
+ * produced, so rotating a salt never loses track of the old address. History
+ * entries are only appended; the address of the newest entry is filled in
+ * when it is first derived at sign-in.
+ *
+ * Rows live in a storage backend chosen by URL (see storage.js), so salts can
+ * be kept in PostgreSQL where the local filesystem does not persist.
  */
 
-const sqlite3 = require('sqlite3').verbose();
 const crypto = require('crypto');
-const path = require('path');
+const { createStorage, redactStorageUrl } = require('./storage');
+const { ensureMigrated } = require('./schema-migrations');
+const { SaltKeyring } = require('./salt-keyring');
+const { ZkLoginError } = require('./errors');
+
+const SALTS = 'user_salts';
+const SALT_HISTORY = 'salt_history';
+const MULTISIG_CONFIGS = 'multisig_configs';
+
+// History reason of a salt recorded for a rotation that has not completed
+const PENDING = 'pending';
+
+// Current shape of the tables, as left by migrations/
+const TABLES = [
+    {
+        name: SALTS,
+        columns: {
+            user_identifier: 'text',
+            provider: 'text',
+            custom_salt: 'text',
+            wrapped_key: { type: 'text', nullable: true },
+            key_version: { type: 'integer', nullable: true },
+            source: { type: 'text', default: 'generated' },
+            created_at: { type: 'text', nullable: true },
+            updated_at: { type: 'text', nullable: true }
+        },
+        primaryKey: ['user_identifier', 'provider']
+    },
+    {
+        name: SALT_HISTORY,
+        columns: {
+            user_identifier: 'text',
+            provider: 'text',
+            version: 'integer',
+            custom_salt: 'text',
+            wrapped_key: { type: 'text', nullable: true },
+            key_version: { type: 'integer', nullable: true },
+            address: { type: 'text', nullable: true },
+            reason: 'text',
+            active_from: 'text'
+        },
+        primaryKey: ['user_identifier', 'provider', 'version'],
+        indexes: ['address']
+    },
+    {
+        // Recoverable MultiSig account per user (see multisig.js)
+        name: MULTISIG_CONFIGS,
+        columns: {
+            user_identifier: 'text',
+            provider: 'text',
+            address: 'text',
+            config: 'text',
+            created_at: { type: 'text', nullable: true },
+            updated_at: { type: 'text', nullable: true }
+        },
+        primaryKey: ['user_identifier', 'provider']
+    }
+];
+
+/**
+ * Storage URL for user salts: STORAGE_URL, or the SQLite file SALT_DB_PATH
+ */
+function resolveSaltStorageUrl(env = process.env) {
+    return env.STORAGE_URL || env.SALT_DB_PATH || './user_salts.db';
+}
 
 class UserSaltDatabase {
-    constructor(dbPath = './user_salts.db') {
-        this.dbPath = dbPath;
-        this.db = null;
+    /**
+     * @param {string} dbPath - Storage URL or SQLite file (see storage.js)
+     * @param {Object} options - { keyring, storage }
+     *   keyring defaults to SaltKeyring.fromEnv() (null stores salts unencrypted);
+     *   storage is a shared backend used instead of opening dbPath, and is left open by close()
+     */
+    constructor(dbPath = './user_salts.db', options = {}) {
+        this.storage = options.storage || createStorage(dbPath);
+        this.ownsStorage = !options.storage;
+        this.dbPath = redactStorageUrl(options.storage ? options.storage.url : dbPath);
+        this.keyring = options.keyring !== undefined ? options.keyring : SaltKeyring.fromEnv();
         this.initialized = false;
         this.initPromise = this.init();
     }
@@ -29,59 +116,58 @@ class UserSaltDatabase {
     }
 
     /**
-     * Initialize database and create tables
+     * Apply pending schema migrations and register the tables
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(this.dbPath, (err) => {
-                if (err) {
-                    console.error('Error opening database:', err.message);
-                    reject(err);
-                    return;
-                }
-                console.log('Connected to SQLite database for user salts');
-                
-                // Create user_salts table if it doesn't exist
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS user_salts (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        user_identifier TEXT UNIQUE NOT NULL,
-                        provider TEXT NOT NULL,
-                        custom_salt TEXT NOT NULL,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )
-                `, (err) => {
-                    if (err) {
-                        console.error('Error creating table:', err.message);
-                        reject(err);
-                        return;
-                    }
-                    console.log('User salts table ready');
-                    
-                    // Create index for faster lookups
-                    this.db.run(`
-                        CREATE INDEX IF NOT EXISTS idx_user_provider 
-                        ON user_salts(user_identifier, provider)
-                    `, (err) => {
-                        if (err) {
-                            console.error('Error creating index:', err.message);
-                            reject(err);
-                            return;
-                        }
-                        console.log('Database initialization complete');
-                        resolve();
-                    });
-                });
-            });
-        });
+        await ensureMigrated(this.storage);
+        for (const table of TABLES) {
+            this.storage.registerTable(table);
+        }
+        if (!this.keyring) {
+            console.warn('⚠️ SALT_MASTER_KEY is not set; user salts are stored unencrypted');
+        }
+        console.log('User salt storage ready:', this.dbPath);
+    }
+
+    /**
+     * Column values storing a salt (encrypted when a keyring is configured)
+     * @returns {Object} - { custom_salt, wrapped_key, key_version }
+     */
+    encodeSalt(userIdentifier, provider, salt) {
+        if (!this.keyring) {
+            return { custom_salt: salt, wrapped_key: null, key_version: null };
+        }
+        const sealed = this.keyring.seal(salt, { userIdentifier, provider });
+        return { custom_salt: sealed.ciphertext, wrapped_key: sealed.wrappedKey, key_version: sealed.keyVersion };
+    }
+
+    /**
+     * Read the salt from a user_salts row
+     */
+    decodeSalt(row) {
+        if (row.key_version === null || row.key_version === undefined) {
+            return row.custom_salt;
+        }
+        if (!this.keyring) {
+            throw new ZkLoginError(
+                `Salt is encrypted with master key version ${row.key_version}, but no master key is configured`,
+                'SALT_KEY_MISSING',
+                { version: row.key_version }
+            );
+        }
+        return this.keyring.open(
+            { ciphertext: row.custom_salt, wrappedKey: row.wrapped_key, keyVersion: row.key_version },
+            { userIdentifier: row.user_identifier, provider: row.provider }
+        );
     }
 
     /**
      * Generate a new random salt
+     * 16 bytes, so the salt lies in the BN254 field that zkProofs need (see
+     * isSaltInField()); stored salts that do not are replaced by replaceUnusableSalt()
      */
     generateSalt() {
-        return crypto.randomBytes(32).toString('hex');
+        return crypto.randomBytes(16).toString('hex');
     }
 
     /**
@@ -92,150 +178,425 @@ class UserSaltDatabase {
      */
     async getOrCreateUserSalt(userIdentifier, provider) {
         await this.ensureInitialized();
-        return new Promise((resolve, reject) => {
-            // First, try to get existing salt
-            this.db.get(
-                'SELECT custom_salt FROM user_salts WHERE user_identifier = ? AND provider = ?',
-                [userIdentifier, provider],
-                (err, row) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
+        const key = { user_identifier: userIdentifier, provider };
+        const row = await this.storage.get(SALTS, key);
+        if (row) {
+            return this.decodeSalt(row);
+        }
 
-                    if (row) {
-                        // Salt exists, return it
-                        resolve(row.custom_salt);
-                    } else {
-                        // Salt doesn't exist, create a new one
-                        const newSalt = this.generateSalt();
-                        this.db.run(
-                            `INSERT INTO user_salts (user_identifier, provider, custom_salt) 
-                             VALUES (?, ?, ?)`,
-                            [userIdentifier, provider, newSalt],
-                            function(err) {
-                                if (err) {
-                                    reject(err);
-                                    return;
-                                }
-                                console.log(`Created new salt for user ${userIdentifier} (${provider})`);
-                                resolve(newSalt);
-                            }
-                        );
-                    }
-                }
-            );
+        const newSalt = this.generateSalt();
+        const stored = this.encodeSalt(userIdentifier, provider, newSalt);
+        const now = new Date().toISOString();
+        try {
+            await this.storage.transaction(async (storage) => {
+                await storage.insert(SALTS, { ...key, ...stored, created_at: now, updated_at: now });
+                await this.appendSaltHistory(storage, key, stored, { reason: 'generated', now });
+            });
+        } catch (error) {
+            // A concurrent sign-in created the salt first
+            const existing = error.code === 'STORAGE_DUPLICATE_KEY' && await this.storage.get(SALTS, key);
+            if (!existing) {
+                throw error;
+            }
+            return this.decodeSalt(existing);
+        }
+        console.log(`Created new salt for user ${userIdentifier} (${provider})`);
+        return newSalt;
+    }
+
+    /**
+     * Get a user's stored salt without creating one
+     * @param {string} userIdentifier - OAuth subject (sub) claim
+     * @param {string} provider - OAuth provider
+     * @returns {Promise<Object|null>} - { salt, source }, or null
+     */
+    async getSaltRecord(userIdentifier, provider) {
+        await this.ensureInitialized();
+        const row = await this.storage.get(SALTS, { user_identifier: userIdentifier, provider });
+        return row ? { salt: this.decodeSalt(row), source: row.source } : null;
+    }
+
+    /**
+     * Store an explicit salt for a user, replacing any stored salt
+     * @param {string} userIdentifier - OAuth subject (sub) claim
+     * @param {string} provider - OAuth provider
+     * @param {string} salt - Salt value (hex)
+     * @param {Object} [options] - { address, reason } for the salt history (reason defaults to 'override')
+     * @returns {Promise<boolean>} - Success status
+     */
+    async setSaltOverride(userIdentifier, provider, salt, options = {}) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        const now = new Date().toISOString();
+        const stored = this.encodeSalt(userIdentifier, provider, salt);
+        const changes = { ...stored, source: 'override', updated_at: now };
+
+        await this.storage.transaction(async (storage) => {
+            if (!(await storage.update(SALTS, key, changes))) {
+                await storage.insert(SALTS, { ...key, ...changes, created_at: now });
+            }
+            await this.appendSaltHistory(storage, key, stored, { address: options.address, reason: options.reason || 'override', now });
         });
+        return true;
+    }
+
+    /**
+     * Record every generated salt as an override
+     * Run before switching to derived salts so existing users keep their addresses.
+     * @param {Object} options - { dryRun } to only count the rows
+     * @returns {Promise<Object>} - { migrated, overrides } row counts
+     */
+    async markSaltsAsOverrides(options = {}) {
+        await this.ensureInitialized();
+        const count = await this.storage.count(SALTS, { source: 'generated' });
+        if (!options.dryRun) {
+            await this.storage.update(SALTS, { source: 'generated' }, { source: 'override', updated_at: new Date().toISOString() });
+        }
+        const total = await this.storage.count(SALTS, { source: 'override' });
+        return { migrated: count, overrides: options.dryRun ? total + count : total };
     }
 
     /**
      * Update salt for a user (optional, for salt rotation)
+     * The previous salt stays in the salt history.
      * @param {string} userIdentifier - OAuth subject (sub) claim
      * @param {string} provider - OAuth provider
      * @param {string} newSalt - New salt value
+     * @param {Object} [options] - { address } the new salt produces, if known
      * @returns {Promise<boolean>} - Success status
      */
-    async updateUserSalt(userIdentifier, provider, newSalt) {
-        await this.ensureInitialized();
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                `UPDATE user_salts 
-                 SET custom_salt = ?, updated_at = CURRENT_TIMESTAMP 
-                 WHERE user_identifier = ? AND provider = ?`,
-                [newSalt, userIdentifier, provider],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve(this.changes > 0);
+    async updateUserSalt(userIdentifier, provider, newSalt, options = {}) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        const now = new Date().toISOString();
+        const stored = this.encodeSalt(userIdentifier, provider, newSalt);
+
+        return this.storage.transaction(async (storage) => {
+            if (!(await storage.update(SALTS, key, { ...stored, updated_at: now }))) {
+                return false;
+            }
+            await this.appendSaltHistory(storage, key, stored, { address: options.address, reason: 'rotated', now });
+            return true;
+        });
+    }
+
+    /**
+     * Record the salt a rotation moves to, before anything depends on it
+     * The entry is listed in the salt history with reason 'pending' (never as
+     * current) until activatePendingSalt(), so assets sent to its address can
+     * always be recovered.
+     * @param {Object} [options] - { address } the salt produces
+     * @returns {Promise<number>} - Version of the pending entry
+     */
+    async addPendingSalt(userIdentifier, provider, salt, options = {}) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        const stored = this.encodeSalt(userIdentifier, provider, salt);
+        return this.storage.transaction((storage) => this.appendSaltHistory(storage, key, stored, { address: options.address, reason: PENDING }));
+    }
+
+    /**
+     * Make a pending salt the identity's current salt
+     * @param {number} version - From addPendingSalt()
+     * @param {Object} [options] - { replacing } salt that must still be current
+     */
+    async activatePendingSalt(userIdentifier, provider, version, options = {}) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        const now = new Date().toISOString();
+
+        await this.storage.transaction(async (storage) => {
+            const entry = await storage.get(SALT_HISTORY, { ...key, version });
+            if (!entry || entry.reason !== PENDING) {
+                throw new ZkLoginError(`Salt history version ${version} is not pending`, 'SALT_NOT_PENDING');
+            }
+            if (options.replacing !== undefined) {
+                const current = await storage.get(SALTS, key);
+                if (!current || this.decodeSalt(current) !== options.replacing) {
+                    throw new ZkLoginError('Salt changed while it was being replaced', 'SALT_CHANGED');
                 }
-            );
+            }
+            const stored = { custom_salt: entry.custom_salt, wrapped_key: entry.wrapped_key, key_version: entry.key_version };
+            if (!(await storage.update(SALTS, key, { ...stored, updated_at: now }))) {
+                await storage.insert(SALTS, { ...key, ...stored, source: 'override', created_at: now, updated_at: now });
+            }
+            await storage.update(SALT_HISTORY, { ...key, version }, { reason: 'rotated', active_from: now });
+        });
+    }
+
+    /**
+     * Move an identity off a stored salt that no zkProof can use
+     * Salts generated before zkProofs were real could lie outside the BN254
+     * field (see isSaltInField()). The old salt keeps its history entry with
+     * the address earlier releases showed for it, and the new salt is recorded
+     * as pending before it becomes current. Nothing can sign for the old
+     * address, so there are no assets to move first. When concurrent sign-ins
+     * race, the first replacement wins and the others get its salt.
+     * @param {Object} options - { salt, legacyAddress, newSalt, address } old salt and its address, new salt and its address
+     * @returns {Promise<string>} - The identity's salt from now on
+     */
+    async replaceUnusableSalt(userIdentifier, provider, { salt, legacyAddress, newSalt, address }) {
+        await this.recordSaltAddress(userIdentifier, provider, salt, legacyAddress);
+        const version = await this.addPendingSalt(userIdentifier, provider, newSalt, { address });
+        try {
+            await this.activatePendingSalt(userIdentifier, provider, version, { replacing: salt });
+        } catch (error) {
+            if (error.code !== 'SALT_CHANGED') {
+                throw error;
+            }
+            await this.discardPendingSalt(userIdentifier, provider, version);
+            return (await this.getSaltRecord(userIdentifier, provider)).salt;
+        }
+        console.log(`Replaced out-of-field salt for user ${userIdentifier} (${provider})`);
+        return newSalt;
+    }
+
+    /**
+     * Drop a pending salt whose rotation did not happen
+     * @returns {Promise<boolean>} - Whether an entry was removed
+     */
+    async discardPendingSalt(userIdentifier, provider, version) {
+        await this.ensureInitialized();
+        return (await this.storage.delete(SALT_HISTORY, { user_identifier: userIdentifier, provider, version, reason: PENDING })) > 0;
+    }
+
+    /**
+     * Append an entry to an identity's salt history
+     * @param {Object} storage - Storage (or transaction) to write with
+     * @param {Object} key - { user_identifier, provider }
+     * @param {Object} stored - Salt columns from encodeSalt()
+     * @param {Object} entry - { address, reason, now }
+     * @returns {Promise<number>} - Version of the entry
+     */
+    async appendSaltHistory(storage, key, stored, { address = null, reason, now = new Date().toISOString() }) {
+        const [latest] = await storage.find(SALT_HISTORY, key, { orderBy: { version: 'desc' }, limit: 1 });
+        const version = latest ? latest.version + 1 : 1;
+        await storage.insert(SALT_HISTORY, {
+            ...key,
+            version,
+            ...stored,
+            address,
+            reason,
+            active_from: now
+        });
+        return version;
+    }
+
+    /**
+     * Record the address a stored salt produced at sign-in
+     * Fills in the address of the newest history entry, or appends an entry
+     * when the same salt now produces another address (changed derivation options).
+     * Salts that are not stored (derived or remote) are not recorded.
+     * @returns {Promise<boolean>} - Whether the history changed
+     */
+    async recordSaltAddress(userIdentifier, provider, salt, address) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+
+        return this.storage.transaction(async (storage) => {
+            const [latest] = await storage.find(SALT_HISTORY, { ...key, reason: { ne: PENDING } }, { orderBy: { version: 'desc' }, limit: 1 });
+            if (!latest || latest.address === address || this.decodeSalt(latest) !== salt) {
+                return false;
+            }
+            if (latest.address === null) {
+                await storage.update(SALT_HISTORY, { ...key, version: latest.version }, { address });
+            } else {
+                const stored = { custom_salt: latest.custom_salt, wrapped_key: latest.wrapped_key, key_version: latest.key_version };
+                await this.appendSaltHistory(storage, key, stored, { address, reason: 'derivation' });
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get the salts an identity has had, oldest first
+     * Pending salts (see addPendingSalt()) are listed but were never active.
+     * @param {string} userIdentifier - OAuth subject (sub) claim
+     * @param {string} provider - OAuth provider
+     * @returns {Promise<Array>} - [{ version, salt, address, reason, activeFrom, activeUntil, current }]
+     */
+    async getSaltHistory(userIdentifier, provider) {
+        await this.ensureInitialized();
+        const rows = await this.storage.find(SALT_HISTORY, { user_identifier: userIdentifier, provider }, { orderBy: { version: 'asc' } });
+        const active = rows.filter((row) => row.reason !== PENDING);
+        return rows.map((row) => {
+            const index = active.indexOf(row);
+            return {
+                version: row.version,
+                salt: this.decodeSalt(row),
+                address: row.address,
+                reason: row.reason,
+                activeFrom: index === -1 ? null : row.active_from,
+                activeUntil: index !== -1 && index < active.length - 1 ? active[index + 1].active_from : null,
+                current: index !== -1 && index === active.length - 1
+            };
         });
     }
 
     /**
      * Get all salts for a user across providers
      * @param {string} userIdentifier - OAuth subject (sub) claim
-     * @returns {Promise<Array>} - Array of salt records
+     * @returns {Promise<Array>} - Array of salt records with decrypted salts
      */
     async getUserSalts(userIdentifier) {
         await this.ensureInitialized();
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                'SELECT * FROM user_salts WHERE user_identifier = ?',
-                [userIdentifier],
-                (err, rows) => {
-                    if (err) {
-                        reject(err);
-                        return;
+        const rows = await this.storage.find(SALTS, { user_identifier: userIdentifier });
+        return rows.map((row) => {
+            const { wrapped_key: wrappedKey, ...fields } = row;
+            return { ...fields, custom_salt: this.decodeSalt(row) };
+        });
+    }
+
+    /**
+     * Re-encrypt every salt under the current master key
+     * Rows on an older key version have their data key re-wrapped; unencrypted
+     * rows are encrypted. Salt values never change, and each row is checked to
+     * decrypt to its old value before it is written.
+     * @returns {Promise<Object>} - { keyVersion, rotated, encrypted, unchanged, history }
+     */
+    async rotateSaltKeys() {
+        await this.ensureInitialized();
+        if (!this.keyring) {
+            throw new ZkLoginError('No salt master key is configured', 'SALT_KEY_MISSING');
+        }
+
+        // Counts are for user_salts; history holds the same counts for salt_history
+        const result = { keyVersion: this.keyring.currentVersion, rotated: 0, encrypted: 0, unchanged: 0 };
+        result.history = { rotated: 0, encrypted: 0, unchanged: 0 };
+        const tables = [
+            { table: SALTS, counts: result, key: ['user_identifier', 'provider'] },
+            { table: SALT_HISTORY, counts: result.history, key: ['user_identifier', 'provider', 'version'] }
+        ];
+
+        await this.storage.transaction(async (storage) => {
+            for (const { table, counts, key } of tables) {
+                for (const row of await storage.find(table)) {
+                    if (row.key_version === this.keyring.currentVersion) {
+                        counts.unchanged++;
+                        continue;
                     }
-                    resolve(rows);
+
+                    const owner = { userIdentifier: row.user_identifier, provider: row.provider };
+                    const salt = this.decodeSalt(row);
+                    const sealed = row.key_version === null
+                        ? this.keyring.seal(salt, owner)
+                        : this.keyring.rewrap({ ciphertext: row.custom_salt, wrappedKey: row.wrapped_key, keyVersion: row.key_version }, owner);
+
+                    if (this.keyring.open(sealed, owner) !== salt) {
+                        throw new ZkLoginError(`Re-encrypted salt for ${row.provider} user ${row.user_identifier} does not match`, 'SALT_ROTATION_FAILED');
+                    }
+
+                    await storage.update(
+                        table,
+                        Object.fromEntries(key.map((name) => [name, row[name]])),
+                        { custom_salt: sealed.ciphertext, wrapped_key: sealed.wrappedKey, key_version: sealed.keyVersion }
+                    );
+                    counts[row.key_version === null ? 'encrypted' : 'rotated']++;
                 }
-            );
+            }
         });
+
+        return result;
     }
 
     /**
-     * Delete salt for a user (for account deletion)
+     * Delete a user's current salt; the next sign-in generates a new one
+     * The salt history is kept so earlier addresses can still be found. Only
+     * eraseUserSalts() removes it.
      * @param {string} userIdentifier - OAuth subject (sub) claim
      * @param {string} provider - OAuth provider
      * @returns {Promise<boolean>} - Success status
      */
     async deleteUserSalt(userIdentifier, provider) {
         await this.ensureInitialized();
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'DELETE FROM user_salts WHERE user_identifier = ? AND provider = ?',
-                [userIdentifier, provider],
-                function(err) {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve(this.changes > 0);
-                }
-            );
+        return (await this.storage.delete(SALTS, { user_identifier: userIdentifier, provider })) > 0;
+    }
+
+    /**
+     * Delete salt and salt history for a user (for erasure, see user-data.js)
+     * @returns {Promise<boolean>} - Whether a salt was stored
+     */
+    async eraseUserSalts(userIdentifier, provider) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        return this.storage.transaction(async (storage) => {
+            await storage.delete(SALT_HISTORY, key);
+            return (await storage.delete(SALTS, key)) > 0;
         });
     }
 
+    /**
+     * Get the MultiSig config of a user
+     * @param {string} userIdentifier - OAuth subject (sub) claim
+     * @param {string} provider - OAuth provider
+     * @returns {Promise<Object|null>} - Stored config, or null
+     */
+    async getMultiSigConfig(userIdentifier, provider) {
+        await this.ensureInitialized();
+        const row = await this.storage.get(MULTISIG_CONFIGS, { user_identifier: userIdentifier, provider });
+        return row ? JSON.parse(row.config) : null;
+    }
+
+    /**
+     * Store (or replace) the MultiSig config of a user
+     * @param {string} userIdentifier - OAuth subject (sub) claim
+     * @param {string} provider - OAuth provider
+     * @param {Object} config - Config from createMultiSigConfig()
+     * @returns {Promise<boolean>} - Success status
+     */
+    async saveMultiSigConfig(userIdentifier, provider, config) {
+        await this.ensureInitialized();
+        const key = { user_identifier: userIdentifier, provider };
+        const now = new Date().toISOString();
+        const changes = { address: config.address, config: JSON.stringify(config), updated_at: now };
+
+        await this.storage.transaction(async (storage) => {
+            if (!(await storage.update(MULTISIG_CONFIGS, key, changes))) {
+                await storage.insert(MULTISIG_CONFIGS, { ...key, ...changes, created_at: now });
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Delete the MultiSig config of a user
+     * @returns {Promise<boolean>} - Whether a config was deleted
+     */
+    async deleteMultiSigConfig(userIdentifier, provider) {
+        await this.ensureInitialized();
+        return (await this.storage.delete(MULTISIG_CONFIGS, { user_identifier: userIdentifier, provider })) > 0;
+    }
+
     /**
      * Get database statistics
      * @returns {Promise<Object>} - Database statistics
      */
     async getStats() {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT COUNT(*) as total_users, COUNT(DISTINCT provider) as providers FROM user_salts',
-                (err, row) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve({
-                        totalUsers: row.total_users,
-                        providers: row.providers,
-                        dbPath: this.dbPath
-                    });
-                }
-            );
-        });
+        await this.ensureInitialized();
+        const rows = await this.storage.find(SALTS);
+        // Rows per master key version; "unencrypted" counts rows without one
+        const keyVersions = {};
+        for (const row of rows) {
+            const version = row.key_version === null ? 'unencrypted' : row.key_version;
+            keyVersions[version] = (keyVersions[version] || 0) + 1;
+        }
+
+        return {
+            totalUsers: rows.length,
+            providers: new Set(rows.map((row) => row.provider)).size,
+            keyVersions,
+            dbPath: this.dbPath
+        };
     }
 
     /**
-     * Close database connection
+     * Close the storage connection, unless it was passed in shared
      */
-    close() {
-        if (this.db) {
-            this.db.close((err) => {
-                if (err) {
-                    console.error('Error closing database:', err.message);
-                } else {
-                    console.log('Database connection closed');
-                }
-            });
+    async close() {
+        if (this.ownsStorage) {
+            await this.storage.close();
         }
     }
 }
 
-module.exports = { UserSaltDatabase };
\ No newline at end of file
+module.exports = { UserSaltDatabase, resolveSaltStorageUrl };
@@ -0,0 +1,86 @@
+/**
+ * Authenticated encryption helpers
+ *
+ * AES-256-GCM with a random IV per message. Encrypted values are compact
+ * strings: "v1.<iv>.<authTag>.<ciphertext>" with base64url parts. Optional
+ * associated data binds a value to its context (e.g. the row it is stored in)
+ * without being stored in it; decryption must pass the same data.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Derive a 32-byte key from a secret string for a given purpose
+ * @param {string|Buffer} secret - Application secret
+ * @param {string} purpose - Context label so one secret yields independent keys
+ * @returns {Buffer} - 32-byte key
+ */
+function deriveKey(secret, purpose) {
+    if (!secret) {
+        throw new Error('Encryption secret is required');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), purpose, 32));
+}
+
+/**
+ * Encrypt a string or buffer
+ * @param {string|Buffer} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {string|Buffer} [aad] - Associated data to authenticate
+ * @returns {string} - Encrypted value
+ */
+function encrypt(plaintext, key, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad !== undefined) {
+        cipher.setAAD(Buffer.from(aad));
+    }
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return [
+        FORMAT_VERSION,
+        iv.toString('base64url'),
+        cipher.getAuthTag().toString('base64url'),
+        ciphertext.toString('base64url')
+    ].join('.');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value - Encrypted value
+ * @param {Buffer} key - 32-byte key
+ * @param {string|Buffer} [aad] - Associated data given to encrypt()
+ * @returns {Buffer} - Decrypted data
+ */
+function decrypt(value, key, aad) {
+    const parts = typeof value === 'string' ? value.split('.') : [];
+    if (parts.length !== 4 || parts[0] !== FORMAT_VERSION) {
+        throw new Error('Invalid encrypted value format');
+    }
+
+    const [, iv, authTag, ciphertext] = parts;
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+    if (aad !== undefined) {
+        decipher.setAAD(Buffer.from(aad));
+    }
+
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    } catch (error) {
+        throw new Error('Decryption failed: wrong key or tampered data');
+    }
+}
+
+/**
+ * Check whether a value looks like output of encrypt()
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}.`) && value.split('.').length === 4;
+}
+
+module.exports = { deriveKey, encrypt, decrypt, isEncrypted };
@@ -0,0 +1,102 @@
+/**
+ * Error types for the zkLogin flow
+ *
+ * Every error carries a stable `code` so API handlers can report failures
+ * to clients without matching on message text.
+ */
+
+/**
+ * Base class for zkLogin errors
+ */
+class ZkLoginError extends Error {
+    constructor(message, code = 'ZKLOGIN_ERROR', details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * JWT could not be verified (signature, claims, nonce or key lookup)
+ */
+class JwtVerificationError extends ZkLoginError {
+    constructor(message, code = 'JWT_INVALID', details = {}) {
+        super(message, code, details);
+    }
+}
+
+/**
+ * The session's ephemeral key is past its maxEpoch and can no longer sign
+ */
+class EphemeralKeyExpiredError extends ZkLoginError {
+    constructor(message, details = {}) {
+        super(message, 'EPHEMERAL_KEY_EXPIRED', details);
+    }
+}
+
+/**
+ * A JSON transaction description failed schema validation
+ */
+class TransactionValidationError extends ZkLoginError {
+    constructor(message, errors = []) {
+        super(message, 'TRANSACTION_INVALID', { errors });
+    }
+}
+
+/**
+ * A signed transaction was rejected before or during execution
+ */
+class TransactionExecutionError extends ZkLoginError {
+    constructor(message, code = 'TRANSACTION_FAILED', details = {}) {
+        super(message, code, details);
+    }
+}
+
+/**
+ * A dry run showed the transaction would fail or cannot fit its gas budget
+ */
+class TransactionSimulationError extends ZkLoginError {
+    constructor(message, code = 'SIMULATION_FAILED', details = {}) {
+        super(message, code, details);
+    }
+}
+
+/**
+ * A signature or signed message did not verify
+ */
+class SignatureVerificationError extends ZkLoginError {
+    constructor(message, code = 'SIGNATURE_INVALID', details = {}) {
+        super(message, code, details);
+    }
+}
+
+/**
+ * OpenID provider could not be discovered or cannot be used for zkLogin
+ */
+class ProviderDiscoveryError extends ZkLoginError {
+    constructor(message, code = 'OIDC_DISCOVERY_FAILED', details = {}) {
+        super(message, code, details);
+    }
+}
+
+/**
+ * A storage backend failed or was used with an invalid schema, query or record
+ */
+class StorageError extends ZkLoginError {
+    constructor(message, code = 'STORAGE_ERROR', details = {}) {
+        super(message, code, details);
+    }
+}
+
+module.exports = {
+    ZkLoginError,
+    JwtVerificationError,
+    EphemeralKeyExpiredError,
+    TransactionValidationError,
+    TransactionExecutionError,
+    TransactionSimulationError,
+    SignatureVerificationError,
+    ProviderDiscoveryError,
+    StorageError
+};
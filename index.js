@@ -12,7 +12,7 @@ async function main() {
 
     // Configuration for zkLogin
     const config = {
-        rpcUrl: 'https://fullnode.devnet.sui.io:443',
+        network: 'devnet', // devnet, testnet, mainnet or localnet
         keyScheme: 'ED25519', // or 'Secp256k1'
         provider: 'google',
         clientId: 'demo-client-12345',
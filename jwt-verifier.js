@@ -0,0 +1,171 @@
+/**
+ * JWT Verification against provider JWKS
+ *
+ * This module verifies id_token signatures with the keys each OAuth provider
+ * publishes and checks the iss, aud, exp and iat claims before a token is
+ * used to derive a salt or a zkLogin address.
+ */
+
+const {
+    createLocalJWKSet,
+    createRemoteJWKSet,
+    decodeJwt,
+    decodeProtectedHeader,
+    errors,
+    jwtVerify
+} = require('jose');
+const { JwtVerificationError } = require('./errors');
+
+const DEFAULT_CLOCK_TOLERANCE = 60; // seconds
+const DEFAULT_CACHE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_COOLDOWN = 30 * 1000; // 30 seconds between refetches on unknown kid
+
+/**
+ * Map jose errors to typed verification errors
+ */
+function toVerificationError(error, header) {
+    if (error instanceof JwtVerificationError) {
+        return error;
+    }
+
+    const details = { kid: header && header.kid };
+
+    if (error instanceof errors.JWTExpired) {
+        return new JwtVerificationError('JWT has expired', 'JWT_EXPIRED', details);
+    }
+    if (error instanceof errors.JWTClaimValidationFailed) {
+        const codes = { iss: 'JWT_ISSUER_INVALID', aud: 'JWT_AUDIENCE_INVALID', nbf: 'JWT_NOT_YET_VALID' };
+        return new JwtVerificationError(`JWT claim check failed: ${error.message}`, codes[error.claim] || 'JWT_CLAIM_INVALID', {
+            ...details,
+            claim: error.claim
+        });
+    }
+    if (error instanceof errors.JWKSNoMatchingKey) {
+        return new JwtVerificationError(`No JWKS key matches kid ${details.kid}`, 'JWKS_KEY_NOT_FOUND', details);
+    }
+    if (error instanceof errors.JWSSignatureVerificationFailed) {
+        return new JwtVerificationError('JWT signature verification failed', 'JWT_SIGNATURE_INVALID', details);
+    }
+    if (error instanceof errors.JWKSTimeout || error instanceof errors.JWKSInvalid || !(error instanceof errors.JOSEError)) {
+        return new JwtVerificationError(`Could not load provider JWKS: ${error.message}`, 'JWKS_UNAVAILABLE', details);
+    }
+    if (error instanceof errors.JOSEAlgNotAllowed || error instanceof errors.JWSInvalid || error instanceof errors.JWTInvalid) {
+        return new JwtVerificationError(`Malformed JWT: ${error.message}`, 'JWT_MALFORMED', details);
+    }
+    return new JwtVerificationError(`JWT verification failed: ${error.message}`, 'JWT_INVALID', details);
+}
+
+/**
+ * Resolve the expected issuer(s) for a token
+ * Multi-tenant providers (Microsoft) use "{tenantid}", which is filled from the
+ * token's tid claim; the signature check still binds the result to the provider keys.
+ */
+function resolveIssuer(issuer, token) {
+    const issuers = Array.isArray(issuer) ? issuer : [issuer];
+    if (!issuers.some((value) => value && value.includes('{tenantid}'))) {
+        return issuer;
+    }
+
+    const { tid } = decodeJwt(token);
+    if (!tid) {
+        throw new JwtVerificationError('JWT is missing the tid claim required by this issuer', 'JWT_ISSUER_INVALID');
+    }
+    return issuers.map((value) => value.replace('{tenantid}', tid));
+}
+
+/**
+ * Verifies id_tokens against provider JWKS
+ */
+class JwtVerifier {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.jwks] - Local JWKS ({ keys: [...] }) used instead of fetching,
+     *   or an object of JWKS keyed by provider id
+     * @param {number} [options.clockTolerance] - Allowed clock skew in seconds
+     * @param {number} [options.cacheMaxAge] - How long fetched keys are trusted (ms)
+     * @param {number} [options.cooldownDuration] - Minimum time between JWKS refetches (ms)
+     */
+    constructor(options = {}) {
+        this.localJwks = options.jwks || null;
+        this.clockTolerance = options.clockTolerance !== undefined ? options.clockTolerance : DEFAULT_CLOCK_TOLERANCE;
+        this.cacheMaxAge = options.cacheMaxAge || DEFAULT_CACHE_MAX_AGE;
+        this.cooldownDuration = options.cooldownDuration !== undefined ? options.cooldownDuration : DEFAULT_COOLDOWN;
+        this.keySets = new Map();
+    }
+
+    /**
+     * Get the injected JWKS for a provider (if any)
+     */
+    getLocalJwks(providerId) {
+        if (!this.localJwks) {
+            return null;
+        }
+        if (Array.isArray(this.localJwks.keys)) {
+            return this.localJwks;
+        }
+        return this.localJwks[providerId] || null;
+    }
+
+    /**
+     * Get the key set for a provider, cached per JWKS source
+     *
+     * Remote key sets refetch the JWKS when a token names a kid they have not
+     * seen, so provider key rotation is picked up without a restart.
+     */
+    getKeySet(providerId, provider) {
+        const localJwks = this.getLocalJwks(providerId);
+        const cacheKey = localJwks ? `local:${providerId}` : provider.jwksUrl;
+
+        if (!cacheKey) {
+            throw new JwtVerificationError(`No JWKS URL configured for provider: ${providerId}`, 'JWKS_NOT_CONFIGURED');
+        }
+
+        if (!this.keySets.has(cacheKey)) {
+            const keySet = localJwks
+                ? createLocalJWKSet(localJwks)
+                : createRemoteJWKSet(new URL(provider.jwksUrl), {
+                    cacheMaxAge: this.cacheMaxAge,
+                    cooldownDuration: this.cooldownDuration
+                });
+            this.keySets.set(cacheKey, keySet);
+        }
+
+        return this.keySets.get(cacheKey);
+    }
+
+    /**
+     * Verify a JWT signature and its standard claims
+     * @param {string} token - Compact JWT
+     * @param {Object} options - { providerId, provider, audience }
+     * @returns {Promise<Object>} - Verified { header, payload }
+     */
+    async verify(token, { providerId, provider, audience }) {
+        let header;
+        try {
+            header = decodeProtectedHeader(token);
+        } catch (error) {
+            throw new JwtVerificationError(`Malformed JWT: ${error.message}`, 'JWT_MALFORMED');
+        }
+
+        try {
+            const { payload } = await jwtVerify(token, this.getKeySet(providerId, provider), {
+                issuer: resolveIssuer(provider.issuer, token),
+                audience,
+                clockTolerance: this.clockTolerance,
+                requiredClaims: ['iss', 'sub', 'aud', 'exp', 'iat']
+            });
+
+            // jose only bounds iat through maxTokenAge, so reject tokens issued in the future here
+            const now = Math.floor(Date.now() / 1000);
+            if (payload.iat > now + this.clockTolerance) {
+                throw new JwtVerificationError('JWT was issued in the future', 'JWT_NOT_YET_VALID', { kid: header.kid });
+            }
+
+            return { header, payload };
+        } catch (error) {
+            throw toVerificationError(error, header);
+        }
+    }
+}
+
+module.exports = { JwtVerifier, DEFAULT_CLOCK_TOLERANCE };
@@ -0,0 +1,127 @@
+/**
+ * Ephemeral Key Schemes
+ *
+ * Registry of the signature schemes an ephemeral key can use. Scheme names
+ * match the SDK's (as found in suiprivkey strings), so keys can be exported
+ * and imported for every scheme through the same calls.
+ *
+ * Secp256r1 is the curve used by WebAuthn passkeys.
+ */
+
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { Secp256k1Keypair } = require('@mysten/sui/keypairs/secp256k1');
+const { Secp256r1Keypair } = require('@mysten/sui/keypairs/secp256r1');
+const { decodeSuiPrivateKey } = require('@mysten/sui/cryptography');
+const { fromBase64, fromHex } = require('@mysten/sui/utils');
+const { ZkLoginError } = require('./errors');
+
+const KEY_SCHEMES = {
+    ED25519: { name: 'ED25519', Keypair: Ed25519Keypair },
+    Secp256k1: { name: 'Secp256k1', Keypair: Secp256k1Keypair },
+    Secp256r1: { name: 'Secp256r1', Keypair: Secp256r1Keypair }
+};
+
+const DEFAULT_KEY_SCHEME = 'ED25519';
+
+/**
+ * Resolve a scheme name to its registry entry
+ * Names are matched case-insensitively ("secp256r1" -> "Secp256r1").
+ * @param {string} scheme - Scheme name
+ * @returns {Object} - { name, Keypair }
+ */
+function getKeyScheme(scheme) {
+    const match = typeof scheme === 'string' &&
+        Object.keys(KEY_SCHEMES).find((name) => name.toLowerCase() === scheme.toLowerCase());
+    if (!match) {
+        throw new ZkLoginError(
+            `Unsupported key scheme: ${scheme} (expected one of ${Object.keys(KEY_SCHEMES).join(', ')})`,
+            'KEY_SCHEME_UNSUPPORTED',
+            { scheme }
+        );
+    }
+    return KEY_SCHEMES[match];
+}
+
+/**
+ * Generate a new key pair for a scheme
+ */
+function generateKeypair(scheme = DEFAULT_KEY_SCHEME) {
+    return new (getKeyScheme(scheme).Keypair)();
+}
+
+/**
+ * Decode a raw secret key given as bytes, hex (0x-prefixed) or base64
+ */
+function toSecretKeyBytes(secretKey) {
+    if (secretKey instanceof Uint8Array) {
+        return secretKey;
+    }
+    if (typeof secretKey === 'string' && secretKey.startsWith('0x')) {
+        return fromHex(secretKey.slice(2));
+    }
+    return fromBase64(secretKey);
+}
+
+/**
+ * Import a key pair
+ * A suiprivkey string carries its scheme; raw keys need the scheme to be named.
+ * @param {string|Uint8Array} secretKey - suiprivkey string, or raw bytes / 0x hex / base64
+ * @param {string} [scheme] - Expected scheme; required for raw keys
+ * @returns {Object} - { scheme, keypair }
+ */
+function importKeypair(secretKey, scheme) {
+    if (!secretKey) {
+        throw new ZkLoginError('Secret key is required', 'KEY_IMPORT_FAILED');
+    }
+
+    let entry;
+    let bytes;
+    if (typeof secretKey === 'string' && secretKey.startsWith('suiprivkey')) {
+        const decoded = decodeSuiPrivateKey(secretKey);
+        entry = getKeyScheme(decoded.schema);
+        if (scheme && getKeyScheme(scheme).name !== entry.name) {
+            throw new ZkLoginError(`Secret key is ${entry.name}, expected ${getKeyScheme(scheme).name}`, 'KEY_SCHEME_MISMATCH');
+        }
+        bytes = decoded.secretKey;
+    } else {
+        if (!scheme) {
+            throw new ZkLoginError('Key scheme is required to import a raw secret key', 'KEY_IMPORT_FAILED');
+        }
+        entry = getKeyScheme(scheme);
+        bytes = toSecretKeyBytes(secretKey);
+    }
+
+    try {
+        return { scheme: entry.name, keypair: entry.Keypair.fromSecretKey(bytes) };
+    } catch (error) {
+        throw new ZkLoginError(`Invalid ${entry.name} secret key: ${error.message}`, 'KEY_IMPORT_FAILED');
+    }
+}
+
+/**
+ * Export a key pair as its scheme and suiprivkey string
+ * @returns {Object} - { scheme, secretKey }
+ */
+function exportKeypair(keypair) {
+    return {
+        scheme: getKeyScheme(keypair.getKeyScheme()).name,
+        secretKey: keypair.getSecretKey()
+    };
+}
+
+/**
+ * Names of all supported schemes
+ */
+function listKeySchemes() {
+    return Object.keys(KEY_SCHEMES);
+}
+
+module.exports = {
+    KEY_SCHEMES,
+    DEFAULT_KEY_SCHEME,
+    getKeyScheme,
+    generateKeypair,
+    importKeypair,
+    exportKeypair,
+    listKeySchemes
+};
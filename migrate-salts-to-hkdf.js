@@ -0,0 +1,37 @@
+/**
+ * Prepare a salt database for derived (hkdf) salts
+ *
+ * Records every randomly generated salt as an override, so users who already
+ * have an address keep it after SALT_STRATEGY is switched to hkdf. New users
+ * then get salts derived from SALT_SEED and no new rows are stored.
+ *
+ * Usage: node migrate-salts-to-hkdf.js [storageUrl] [--dry-run]
+ */
+
+require('dotenv').config();
+const { UserSaltDatabase, resolveSaltStorageUrl } = require('./database');
+
+async function migrateSaltsToHkdf() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const dbPath = args.find((arg) => !arg.startsWith('--')) || resolveSaltStorageUrl();
+    const database = new UserSaltDatabase(dbPath);
+
+    try {
+        console.log(`🧂 ${dryRun ? 'Checking' : 'Migrating'} generated salts in`, database.dbPath);
+        const result = await database.markSaltsAsOverrides({ dryRun });
+
+        console.log(`✅ ${result.migrated} generated salt(s) ${dryRun ? 'would be recorded' : 'recorded'} as overrides`);
+        console.log(`📊 ${result.overrides} override(s) ${dryRun ? 'after migration' : 'in total'}`);
+        if (!dryRun) {
+            console.log('💡 Existing addresses are preserved; SALT_STRATEGY=hkdf can now be enabled');
+        }
+    } finally {
+        await database.close();
+    }
+}
+
+migrateSaltsToHkdf().catch((error) => {
+    console.error('❌ Salt migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Apply pending schema migrations (see schema-migrations.js)
+ *
+ * The server and scripts also migrate on first use; run this to upgrade a
+ * database ahead of a deploy, or with --dry-run to list the pending steps.
+ *
+ * Usage: node migrate.js [storageUrl] [--dry-run]
+ */
+
+require('dotenv').config();
+const { createStorage, redactStorageUrl } = require('./storage');
+const { resolveSaltStorageUrl } = require('./database');
+const { migrate } = require('./schema-migrations');
+
+async function runMigrations() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const url = args.find((arg) => !arg.startsWith('--')) || resolveSaltStorageUrl();
+    const storage = createStorage(url);
+
+    try {
+        console.log(`🗄️ ${dryRun ? 'Checking' : 'Migrating'}`, redactStorageUrl(url));
+        const result = await migrate(storage, { dryRun });
+
+        for (const migration of dryRun ? result.pending : result.applied) {
+            console.log(`   ${String(migration.version).padStart(3, '0')} ${migration.name} - ${migration.description}`);
+        }
+        if (dryRun) {
+            console.log(`📋 ${result.pending.length} pending migration(s); schema is at version ${result.version}`);
+        } else {
+            console.log(`✅ ${result.applied.length} migration(s) applied; schema is at version ${result.version}`);
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+runMigrations().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
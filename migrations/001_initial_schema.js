@@ -0,0 +1,47 @@
+/**
+ * Tables as they were before migrations were introduced
+ * Databases created by earlier releases already have them; they are left as is.
+ */
+
+module.exports = {
+    description: 'Create user_salts, zklogin_sessions and multisig_configs',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'user_salts',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                custom_salt: 'text',
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+
+        await storage.defineTable({
+            name: 'zklogin_sessions',
+            columns: {
+                session_id: 'text',
+                data: 'text',
+                expires_at: 'integer',
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: 'session_id',
+            indexes: ['expires_at']
+        });
+
+        await storage.defineTable({
+            name: 'multisig_configs',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                address: 'text',
+                config: 'text',
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Envelope encryption of salts (see salt-keyring.js)
+ * Existing rows keep key_version NULL, meaning unencrypted, until rotate-salt-keys.js runs.
+ */
+
+module.exports = {
+    description: 'Add wrapped_key and key_version to user_salts',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'user_salts',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                custom_salt: 'text',
+                wrapped_key: { type: 'text', nullable: true },
+                key_version: { type: 'integer', nullable: true },
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+    }
+};
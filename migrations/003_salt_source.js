@@ -0,0 +1,24 @@
+/**
+ * Where a stored salt came from: 'generated' or 'override' (see salt-provider.js)
+ */
+
+module.exports = {
+    description: 'Add source to user_salts',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'user_salts',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                custom_salt: 'text',
+                wrapped_key: { type: 'text', nullable: true },
+                key_version: { type: 'integer', nullable: true },
+                source: { type: 'text', default: 'generated' },
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Append-only history of each identity's salts and the addresses they produced
+ * Current salts become version 1; their address is filled in at the next sign-in.
+ */
+
+module.exports = {
+    description: 'Create salt_history and record current salts in it',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'salt_history',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                version: 'integer',
+                custom_salt: 'text',
+                wrapped_key: { type: 'text', nullable: true },
+                key_version: { type: 'integer', nullable: true },
+                address: { type: 'text', nullable: true },
+                reason: 'text',
+                active_from: 'text'
+            },
+            primaryKey: ['user_identifier', 'provider', 'version'],
+            indexes: ['address']
+        });
+
+        // user_salts as left by 003_salt_source.js
+        storage.registerTable({
+            name: 'user_salts',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                custom_salt: 'text',
+                wrapped_key: { type: 'text', nullable: true },
+                key_version: { type: 'integer', nullable: true },
+                source: { type: 'text', default: 'generated' },
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+
+        const now = new Date().toISOString();
+        for (const row of await storage.find('user_salts')) {
+            // Ciphertexts are bound to the identity, not the table, so they are copied as is
+            await storage.insert('salt_history', {
+                user_identifier: row.user_identifier,
+                provider: row.provider,
+                version: 1,
+                custom_salt: row.custom_salt,
+                wrapped_key: row.wrapped_key,
+                key_version: row.key_version,
+                reason: row.source,
+                active_from: row.created_at || now
+            });
+        }
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Accounts that group several login identities (see accounts.js)
+ *
+ * user_salts files from before migrations declared user_identifier UNIQUE, so
+ * the same subject could not sign in with two providers; the table is rebuilt
+ * keyed by (user_identifier, provider) only.
+ */
+
+module.exports = {
+    description: 'Create accounts and account_identities, and key user_salts by provider',
+
+    async up(storage) {
+        // user_salts as left by 003_salt_source.js
+        await storage.rebuildTable({
+            name: 'user_salts',
+            columns: {
+                user_identifier: 'text',
+                provider: 'text',
+                custom_salt: 'text',
+                wrapped_key: { type: 'text', nullable: true },
+                key_version: { type: 'integer', nullable: true },
+                source: { type: 'text', default: 'generated' },
+                created_at: { type: 'text', nullable: true },
+                updated_at: { type: 'text', nullable: true }
+            },
+            primaryKey: ['user_identifier', 'provider']
+        });
+
+        await storage.defineTable({
+            name: 'accounts',
+            columns: {
+                id: 'text',
+                created_at: 'text'
+            },
+            primaryKey: 'id'
+        });
+
+        await storage.defineTable({
+            name: 'account_identities',
+            columns: {
+                issuer: 'text',
+                subject: 'text',
+                account_id: 'text',
+                provider: 'text',
+                address: { type: 'text', nullable: true },
+                linked_at: 'text'
+            },
+            primaryKey: ['issuer', 'subject'],
+            indexes: ['account_id']
+        });
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Records of what a user uploaded and minted, and receipts of erasures (see user-data.js)
+ * Sessions get the owner they belong to, so they can be found for export and erasure.
+ */
+
+module.exports = {
+    description: 'Create user_uploads, mint_records and erasure_receipts, and add owner to zklogin_sessions',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'zklogin_sessions',
+            columns: {
+                session_id: 'text',
+                data: 'text',
+                expires_at: 'integer',
+                updated_at: { type: 'text', nullable: true },
+                owner: { type: 'text', nullable: true }
+            },
+            primaryKey: 'session_id',
+            indexes: ['expires_at', 'owner']
+        });
+
+        await storage.defineTable({
+            name: 'user_uploads',
+            columns: {
+                file_name: 'text',
+                owner: 'text',
+                mime_type: { type: 'text', nullable: true },
+                size: { type: 'integer', nullable: true },
+                uploaded_at: 'text'
+            },
+            primaryKey: 'file_name',
+            indexes: ['owner']
+        });
+
+        await storage.defineTable({
+            name: 'mint_records',
+            columns: {
+                id: 'text',
+                // Cleared when the owner's data is erased; the on-chain part stays
+                owner: { type: 'text', nullable: true },
+                address: { type: 'text', nullable: true },
+                name: { type: 'text', nullable: true },
+                description: { type: 'text', nullable: true },
+                image_file: { type: 'text', nullable: true },
+                transaction_digest: 'text',
+                nft_object_id: { type: 'text', nullable: true },
+                minted_at: 'text',
+                erased_at: { type: 'text', nullable: true }
+            },
+            primaryKey: 'id',
+            indexes: ['owner']
+        });
+
+        await storage.defineTable({
+            name: 'erasure_receipts',
+            columns: {
+                id: 'text',
+                subject_digest: 'text',
+                receipt: 'text',
+                created_at: 'text'
+            },
+            primaryKey: 'id',
+            indexes: ['subject_digest']
+        });
+    }
+};
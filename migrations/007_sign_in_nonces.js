@@ -0,0 +1,23 @@
+/**
+ * Sign-in nonces issued by the server (see sign-in-nonces.js)
+ * Kept in storage so any instance can accept a nonce another one issued.
+ */
+
+module.exports = {
+    description: 'Create sign_in_nonces',
+
+    async up(storage) {
+        await storage.defineTable({
+            name: 'sign_in_nonces',
+            columns: {
+                nonce: 'text',
+                address: 'text',
+                client: { type: 'text', nullable: true },
+                expires_at: 'integer',
+                created_at: 'text'
+            },
+            primaryKey: 'nonce',
+            indexes: ['expires_at', 'address', 'client']
+        });
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Recoverable MultiSig Accounts
+ *
+ * Combines a user's zkLogin identity with backup public keys (a key the user
+ * exported, or the zkLogin identity of a second provider) into a Sui MultiSig
+ * address. With the default weights every member can sign alone, so losing
+ * the OAuth account or the salt does not lose the assets held by the address.
+ *
+ * A config is stored as plain JSON:
+ *   { threshold, address, members: [{ publicKey, scheme, weight, label }] }
+ * where publicKey is the Sui public key (flag byte + key bytes, base64).
+ */
+
+const { MultiSigPublicKey, MAX_SIGNER_IN_MULTISIG } = require('@mysten/sui/multisig');
+const { parseSerializedSignature, SIGNATURE_FLAG_TO_SCHEME } = require('@mysten/sui/cryptography');
+const { publicKeyFromSuiBytes, publicKeyFromRawBytes } = require('@mysten/sui/verify');
+const { toZkLoginPublicIdentifier } = require('@mysten/sui/zklogin');
+const { ZkLoginError } = require('./errors');
+
+const MAX_MEMBER_WEIGHT = 255;
+
+/**
+ * Get the Sui public key (base64) of a zkLogin identity
+ * @param {bigint|string} addressSeed - Address seed
+ * @param {string} iss - Issuer
+ */
+function getZkLoginPublicKey(addressSeed, iss) {
+    return toZkLoginPublicIdentifier(BigInt(addressSeed), iss).toSuiPublicKey();
+}
+
+/**
+ * Parse a member's Sui public key
+ */
+function parseMemberPublicKey(publicKey) {
+    try {
+        return publicKeyFromSuiBytes(publicKey);
+    } catch (error) {
+        throw new ZkLoginError(`Invalid member public key: ${error.message}`, 'MULTISIG_CONFIG_INVALID', { publicKey });
+    }
+}
+
+/**
+ * Check a weight or threshold value
+ */
+function validateWeight(value, name) {
+    if (!Number.isInteger(value) || value < 1 || value > (name === 'threshold' ? 0xffff : MAX_MEMBER_WEIGHT)) {
+        throw new ZkLoginError(`Invalid ${name}: ${value}`, 'MULTISIG_CONFIG_INVALID');
+    }
+    return value;
+}
+
+/**
+ * Build a MultiSig config from the zkLogin member and backup members
+ * @param {Object} options
+ * @param {string} options.zkLoginPublicKey - Sui public key of the zkLogin identity
+ * @param {Array} options.backupKeys - [{ publicKey, weight, label }]
+ * @param {number} [options.zkLoginWeight=1] - Weight of the zkLogin member
+ * @param {number} [options.threshold=1] - Weight needed to sign
+ * @returns {Object} - { threshold, address, members }
+ */
+function createMultiSigConfig({ zkLoginPublicKey, backupKeys = [], zkLoginWeight = 1, threshold = 1 }) {
+    if (!Array.isArray(backupKeys) || backupKeys.length === 0) {
+        throw new ZkLoginError('At least one backup key is required', 'MULTISIG_CONFIG_INVALID');
+    }
+
+    const members = [
+        { publicKey: zkLoginPublicKey, weight: zkLoginWeight, label: 'zklogin' },
+        ...backupKeys.map((key, index) => ({ publicKey: key.publicKey, weight: key.weight || 1, label: key.label || `backup-${index + 1}` }))
+    ];
+
+    return normalizeMultiSigConfig({ threshold, members });
+}
+
+/**
+ * Validate a stored config and recompute its address
+ * The first member must be the zkLogin identity that owns the config.
+ */
+function normalizeMultiSigConfig(config) {
+    const members = config.members || [];
+    if (members.length < 2 || members.length > MAX_SIGNER_IN_MULTISIG) {
+        throw new ZkLoginError(
+            `A MultiSig account needs between 2 and ${MAX_SIGNER_IN_MULTISIG} members`,
+            'MULTISIG_CONFIG_INVALID'
+        );
+    }
+
+    const normalized = members.map((member) => {
+        const publicKey = parseMemberPublicKey(member.publicKey);
+        return {
+            publicKey: publicKey.toSuiPublicKey(),
+            scheme: SIGNATURE_FLAG_TO_SCHEME[publicKey.flag()],
+            weight: validateWeight(member.weight, 'weight'),
+            label: member.label
+        };
+    });
+    if (normalized[0].scheme !== 'ZkLogin') {
+        throw new ZkLoginError('The first MultiSig member must be the zkLogin identity', 'MULTISIG_CONFIG_INVALID');
+    }
+    if (new Set(normalized.map((member) => member.publicKey)).size !== normalized.length) {
+        throw new ZkLoginError('MultiSig members must be distinct', 'MULTISIG_CONFIG_INVALID');
+    }
+
+    const threshold = validateWeight(config.threshold, 'threshold');
+    const totalWeight = normalized.reduce((sum, member) => sum + member.weight, 0);
+    if (threshold > totalWeight) {
+        throw new ZkLoginError(`Threshold ${threshold} exceeds the total weight ${totalWeight}`, 'MULTISIG_CONFIG_INVALID');
+    }
+
+    const result = { threshold, members: normalized };
+    result.address = toMultiSigPublicKey(result).toSuiAddress();
+    return result;
+}
+
+/**
+ * Rebuild the SDK MultiSig public key for a config
+ */
+function toMultiSigPublicKey(config) {
+    return MultiSigPublicKey.fromPublicKeys({
+        threshold: config.threshold,
+        publicKeys: config.members.map((member) => ({
+            publicKey: parseMemberPublicKey(member.publicKey),
+            weight: member.weight
+        }))
+    });
+}
+
+/**
+ * Find the member that produced a signature
+ */
+function findSigner(config, signature) {
+    let parsed;
+    try {
+        parsed = parseSerializedSignature(signature);
+    } catch (error) {
+        throw new ZkLoginError(`Invalid partial signature: ${error.message}`, 'MULTISIG_SIGNATURE_INVALID');
+    }
+
+    const publicKey = parsed.signatureScheme === 'ZkLogin'
+        ? getZkLoginPublicKey(parsed.zkLogin.addressSeed, parsed.zkLogin.iss)
+        : publicKeyFromRawBytes(parsed.signatureScheme, parsed.publicKey).toSuiPublicKey();
+
+    const member = config.members.find((candidate) => candidate.publicKey === publicKey);
+    if (!member) {
+        throw new ZkLoginError('Partial signature is not from a member of this MultiSig', 'MULTISIG_SIGNATURE_INVALID');
+    }
+    return member;
+}
+
+/**
+ * Combine members' signatures into a MultiSig signature
+ * @param {Object} config - MultiSig config
+ * @param {string[]} signatures - Serialized signatures from members
+ * @returns {Object} - { signature, signers, weight }
+ */
+function combineMultiSigSignatures(config, signatures) {
+    const signers = signatures.map((signature) => findSigner(config, signature));
+    if (new Set(signers.map((member) => member.publicKey)).size !== signers.length) {
+        throw new ZkLoginError('A member signed more than once', 'MULTISIG_SIGNATURE_INVALID');
+    }
+
+    const weight = signers.reduce((sum, member) => sum + member.weight, 0);
+    if (weight < config.threshold) {
+        throw new ZkLoginError(
+            `Signatures carry weight ${weight}, below the threshold ${config.threshold}`,
+            'MULTISIG_THRESHOLD_NOT_MET',
+            { weight, threshold: config.threshold }
+        );
+    }
+
+    return {
+        signature: toMultiSigPublicKey(config).combinePartialSignatures(signatures),
+        signers: signers.map((member) => member.label),
+        weight
+    };
+}
+
+module.exports = {
+    getZkLoginPublicKey,
+    createMultiSigConfig,
+    normalizeMultiSigConfig,
+    toMultiSigPublicKey,
+    combineMultiSigSignatures
+};
@@ -0,0 +1,222 @@
+/**
+ * Network Profiles
+ *
+ * One profile per Sui network, holding everything that differs between them:
+ * fullnode RPC URLs, the deployed package IDs, the sponsor wallet, the faucet
+ * and the explorer. Components resolve these from the active profile instead
+ * of hard-coding a network.
+ *
+ * Each setting can be overridden per network with <NETWORK>_<SETTING>, e.g.
+ * TESTNET_RPC_URLS, MAINNET_PACKAGE_ID or DEVNET_SPONSOR_PRIVATE_KEY. For the
+ * active network (SUI_NETWORK) the unprefixed SUI_RPC_URL, PACKAGE_ID,
+ * SPONSOR_PRIVATE_KEY, SPONSOR_ADDRESS and FAUCET_URL also apply.
+ */
+
+const { SuiClient, SuiHTTPTransport, SuiHTTPStatusError, SuiHTTPTransportError } = require('@mysten/sui/client');
+const { ZkLoginError } = require('./errors');
+
+const NETWORKS = {
+    devnet: {
+        rpcUrls: ['https://fullnode.devnet.sui.io:443'],
+        faucetUrl: 'https://faucet.devnet.sui.io/v2/gas',
+        explorerUrl: 'https://suiscan.xyz/devnet',
+        proverNetwork: 'devnet'
+    },
+    testnet: {
+        rpcUrls: ['https://fullnode.testnet.sui.io:443'],
+        faucetUrl: 'https://faucet.testnet.sui.io/v2/gas',
+        explorerUrl: 'https://suiscan.xyz/testnet',
+        proverNetwork: 'testnet'
+    },
+    mainnet: {
+        rpcUrls: ['https://fullnode.mainnet.sui.io:443'],
+        faucetUrl: null,
+        explorerUrl: 'https://suiscan.xyz/mainnet',
+        proverNetwork: 'mainnet'
+    },
+    localnet: {
+        rpcUrls: ['http://127.0.0.1:9000'],
+        faucetUrl: 'http://127.0.0.1:9123/v2/gas',
+        explorerUrl: null,
+        // Local networks accept proofs from the devnet prover
+        proverNetwork: 'devnet'
+    }
+};
+
+const DEFAULT_NETWORK = 'devnet';
+
+/**
+ * Check a network name against the known profiles
+ */
+function validateNetworkName(name) {
+    const network = typeof name === 'string' ? name.toLowerCase() : name;
+    if (!NETWORKS[network]) {
+        throw new ZkLoginError(
+            `Unsupported network: ${name} (expected one of ${Object.keys(NETWORKS).join(', ')})`,
+            'NETWORK_UNSUPPORTED',
+            { network: name }
+        );
+    }
+    return network;
+}
+
+/**
+ * Guess the network a fullnode URL belongs to
+ * @returns {string|null}
+ */
+function inferNetworkFromUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        return null;
+    }
+    if (hostname === 'localhost' || hostname === '127.0.0.1') {
+        return 'localnet';
+    }
+    return Object.keys(NETWORKS).find((name) => hostname.split('.').includes(name)) || null;
+}
+
+/**
+ * Name of the active network
+ * SUI_NETWORK wins; otherwise it is inferred from SUI_RPC_URL, so existing
+ * deployments that only set the RPC URL keep their network.
+ */
+function resolveActiveNetwork(env = process.env) {
+    if (env.SUI_NETWORK) {
+        return validateNetworkName(env.SUI_NETWORK);
+    }
+    return (env.SUI_RPC_URL && inferNetworkFromUrl(env.SUI_RPC_URL)) || DEFAULT_NETWORK;
+}
+
+/**
+ * Split a comma-separated list of URLs
+ */
+function parseUrlList(value) {
+    return String(value).split(',').map((url) => url.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a network profile with its environment overrides
+ * @param {string} [name] - Network name (defaults to the active network)
+ * @param {Object} [env=process.env] - Environment to read overrides from
+ * @returns {Object} - { name, chainId, rpcUrl, rpcUrls, faucetUrl, explorerUrl, proverNetwork, packageIds, sponsor }
+ */
+function getNetworkProfile(name, env = process.env) {
+    const network = name ? validateNetworkName(name) : resolveActiveNetwork(env);
+    const defaults = NETWORKS[network];
+    const prefix = network.toUpperCase();
+    const isActive = network === resolveActiveNetwork(env);
+
+    // <NETWORK>_<SETTING>, then the unprefixed setting when this network is active
+    const setting = (key, legacyKey = key) => env[`${prefix}_${key}`] || (isActive ? env[legacyKey] : undefined) || undefined;
+
+    const rpcUrlList = setting('RPC_URLS', 'SUI_RPC_URLS') || setting('RPC_URL', 'SUI_RPC_URL');
+    const rpcUrls = rpcUrlList ? parseUrlList(rpcUrlList) : defaults.rpcUrls;
+
+    return {
+        name: network,
+        chainId: `sui:${network}`,
+        rpcUrl: rpcUrls[0],
+        rpcUrls,
+        faucetUrl: setting('FAUCET_URL') || defaults.faucetUrl,
+        explorerUrl: setting('EXPLORER_URL') || defaults.explorerUrl,
+        proverNetwork: defaults.proverNetwork,
+        packageIds: {
+            nft: setting('PACKAGE_ID') || null
+        },
+        sponsor: {
+            address: setting('SPONSOR_ADDRESS') || null,
+            privateKey: setting('SPONSOR_PRIVATE_KEY') || null
+        }
+    };
+}
+
+/**
+ * The parts of a profile that are safe to hand to a browser (no sponsor key)
+ */
+function toPublicProfile(profile) {
+    return {
+        name: profile.name,
+        chainId: profile.chainId,
+        rpcUrl: profile.rpcUrl,
+        faucetUrl: profile.faucetUrl,
+        explorerUrl: profile.explorerUrl,
+        packageIds: { ...profile.packageIds },
+        sponsorAddress: profile.sponsor.address
+    };
+}
+
+/**
+ * Explorer link for a transaction, or null when the network has no explorer
+ */
+function getExplorerTransactionUrl(profile, digest) {
+    return profile.explorerUrl ? `${profile.explorerUrl}/tx/${digest}` : null;
+}
+
+/**
+ * Whether a failed request should be retried on the next fullnode
+ * JSON-RPC errors come from a node that answered, so they are final.
+ */
+function isFailoverError(error) {
+    if (error instanceof SuiHTTPStatusError) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return !(error instanceof SuiHTTPTransportError);
+}
+
+/**
+ * Transport that sends each request to the first fullnode that answers
+ * The node that answered last is tried first on the next request.
+ */
+class FailoverTransport {
+    constructor(urls, options = {}) {
+        this.transports = urls.map((url) => new SuiHTTPTransport({ url, fetch: options.fetch }));
+        this.current = 0;
+    }
+
+    async request(input) {
+        let lastError;
+        for (let attempt = 0; attempt < this.transports.length; attempt++) {
+            const index = (this.current + attempt) % this.transports.length;
+            try {
+                const result = await this.transports[index].request(input);
+                this.current = index;
+                return result;
+            } catch (error) {
+                if (!isFailoverError(error)) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    subscribe(input) {
+        return this.transports[this.current].subscribe(input);
+    }
+}
+
+/**
+ * Create a SuiClient for a profile, failing over between its RPC URLs
+ * @param {Object} profile - Resolved network profile
+ * @param {Object} [options] - { fetch } passed to the HTTP transports
+ */
+function createSuiClient(profile, options = {}) {
+    if (profile.rpcUrls.length === 1 && !options.fetch) {
+        return new SuiClient({ url: profile.rpcUrl });
+    }
+    return new SuiClient({ transport: new FailoverTransport(profile.rpcUrls, options) });
+}
+
+module.exports = {
+    NETWORKS,
+    DEFAULT_NETWORK,
+    resolveActiveNetwork,
+    getNetworkProfile,
+    toPublicProfile,
+    getExplorerTransactionUrl,
+    createSuiClient,
+    FailoverTransport
+};
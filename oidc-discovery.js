@@ -0,0 +1,252 @@
+/**
+ * OpenID Connect Discovery
+ *
+ * This module turns an issuer URL into a provider entry for PROVIDERS by
+ * reading the issuer's /.well-known/openid-configuration document. Issuers
+ * that cannot return an RS256 id_token bound to a nonce are refused, since
+ * zkLogin relies on the nonce to tie the token to the ephemeral key.
+ */
+
+const axios = require('axios');
+const { ProviderDiscoveryError } = require('./errors');
+
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+const DEFAULT_DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+/**
+ * Build the discovery document URL for an issuer
+ */
+function getDiscoveryUrl(issuer) {
+    return issuer.replace(/\/+$/, '') + DISCOVERY_PATH;
+}
+
+/**
+ * Environment variable prefix for a provider id (e.g. "my-idp" -> "MY_IDP")
+ */
+function toEnvPrefix(providerId) {
+    return providerId.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Pick the response type and mode used to obtain the id_token
+ *
+ * Implicit and hybrid flows that return an id_token require a nonce by spec.
+ * A code-only issuer is accepted only if it advertises the nonce claim.
+ */
+function selectResponseType(document, preferred) {
+    const supported = document.response_types_supported;
+    const modes = document.response_modes_supported;
+    const supportsMode = (mode) => !modes || modes.includes(mode);
+    const claims = document.claims_supported;
+
+    const withIdToken = supported.filter((type) => type.split(' ').includes('id_token'));
+    const codeOnly = supported.includes('code') && Array.isArray(claims) && claims.includes('nonce');
+
+    const usable = codeOnly ? [...withIdToken, 'code'] : withIdToken;
+    if (usable.length === 0) {
+        throw new ProviderDiscoveryError(
+            `Issuer ${document.issuer} cannot return an id_token bound to a nonce`,
+            'OIDC_NONCE_UNSUPPORTED',
+            { issuer: document.issuer, responseTypesSupported: supported }
+        );
+    }
+
+    let responseType;
+    if (preferred) {
+        if (!usable.includes(preferred)) {
+            throw new ProviderDiscoveryError(
+                `Issuer ${document.issuer} does not support response type "${preferred}" with a nonce`,
+                'OIDC_RESPONSE_TYPE_UNSUPPORTED',
+                { issuer: document.issuer, responseTypesSupported: supported }
+            );
+        }
+        responseType = preferred;
+    } else {
+        responseType = usable.includes('id_token') ? 'id_token' : usable[0];
+    }
+
+    if (responseType === 'code') {
+        return { responseType, responseMode: 'query' };
+    }
+    // Hybrid responses are large, so prefer form_post when the issuer offers it
+    if (responseType !== 'id_token' && modes && modes.includes('form_post')) {
+        return { responseType, responseMode: 'form_post' };
+    }
+    return { responseType, responseMode: supportsMode('fragment') ? 'fragment' : 'form_post' };
+}
+
+/**
+ * Validate a discovery document for use with zkLogin
+ * @param {Object} document - Parsed openid-configuration
+ * @param {string} issuer - Issuer the document was requested for
+ */
+function validateDiscoveryDocument(document, issuer) {
+    if (!document || typeof document !== 'object') {
+        throw new ProviderDiscoveryError(`Discovery document for ${issuer} is not a JSON object`, 'OIDC_DOCUMENT_INVALID', { issuer });
+    }
+
+    const required = ['issuer', 'authorization_endpoint', 'jwks_uri', 'response_types_supported'];
+    const missing = required.filter((field) => !document[field]);
+    if (missing.length > 0 || !Array.isArray(document.response_types_supported)) {
+        throw new ProviderDiscoveryError(
+            `Discovery document for ${issuer} is missing: ${missing.join(', ') || 'response_types_supported'}`,
+            'OIDC_DOCUMENT_INVALID',
+            { issuer, missing }
+        );
+    }
+
+    // OpenID Connect Discovery 1.0 section 4.3: the issuer must match exactly
+    if (document.issuer !== issuer) {
+        throw new ProviderDiscoveryError(
+            `Discovery document issuer ${document.issuer} does not match ${issuer}`,
+            'OIDC_ISSUER_MISMATCH',
+            { issuer, documentIssuer: document.issuer }
+        );
+    }
+
+    // zkLogin circuits only verify RS256 signatures
+    const algs = document.id_token_signing_alg_values_supported;
+    if (Array.isArray(algs) && !algs.includes('RS256')) {
+        throw new ProviderDiscoveryError(
+            `Issuer ${issuer} does not sign id_tokens with RS256`,
+            'OIDC_UNSUPPORTED_ALG',
+            { issuer, algs }
+        );
+    }
+}
+
+/**
+ * Build a PROVIDERS entry from a discovery document
+ * @param {string} providerId - Provider key, used for the credential env variables
+ * @param {Object} document - Validated discovery document
+ * @param {Object} options - { name, scope, responseType }
+ */
+function providerFromDiscovery(providerId, document, options = {}) {
+    const { responseType, responseMode } = selectResponseType(document, options.responseType);
+    const scopes = Array.isArray(document.scopes_supported)
+        ? DEFAULT_SCOPES.filter((scope) => scope === 'openid' || document.scopes_supported.includes(scope))
+        : DEFAULT_SCOPES;
+    const envPrefix = toEnvPrefix(providerId);
+
+    return {
+        name: options.name || new URL(document.issuer).host,
+        authUrl: document.authorization_endpoint,
+        tokenUrl: document.token_endpoint,
+        issuer: document.issuer,
+        jwksUrl: document.jwks_uri,
+        scope: options.scope || scopes.join(' '),
+        responseType,
+        responseMode,
+        responseTypesSupported: document.response_types_supported,
+        clientIdEnv: `${envPrefix}_CLIENT_ID`,
+        clientSecretEnv: `${envPrefix}_CLIENT_SECRET`,
+        discovered: true
+    };
+}
+
+/**
+ * Fetches and caches discovery documents
+ */
+class OidcDiscovery {
+    /**
+     * @param {Object} options
+     * @param {number} [options.ttl] - How long a fetched document is reused (ms)
+     * @param {number} [options.timeout] - HTTP timeout (ms)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_DISCOVERY_TTL;
+        this.timeout = options.timeout || 10000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Get the validated discovery document for an issuer
+     * Concurrent calls for the same issuer share one request.
+     */
+    async getDocument(issuer) {
+        const cached = this.cache.get(issuer);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.document;
+        }
+
+        const pending = this.fetchDocument(issuer);
+        this.cache.set(issuer, { document: pending, expiresAt: Date.now() + this.ttl });
+
+        try {
+            return await pending;
+        } catch (error) {
+            this.cache.delete(issuer);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch and validate a discovery document
+     */
+    async fetchDocument(issuer) {
+        let response;
+        try {
+            response = await axios.get(getDiscoveryUrl(issuer), {
+                headers: { 'Accept': 'application/json' },
+                timeout: this.timeout
+            });
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+            throw new ProviderDiscoveryError(`Could not fetch discovery document for ${issuer}: ${reason}`, 'OIDC_DISCOVERY_FAILED', { issuer });
+        }
+
+        validateDiscoveryDocument(response.data, issuer);
+        return response.data;
+    }
+
+    /**
+     * Discover an issuer and build its provider entry
+     * @param {string} providerId - Provider key
+     * @param {string} issuer - Issuer URL
+     * @param {Object} options - { name, scope, responseType }
+     */
+    async discover(providerId, issuer, options = {}) {
+        const document = await this.getDocument(issuer);
+        return providerFromDiscovery(providerId, document, options);
+    }
+
+    /**
+     * Forget cached documents (all, or one issuer)
+     */
+    clear(issuer) {
+        if (issuer) {
+            this.cache.delete(issuer);
+        } else {
+            this.cache.clear();
+        }
+    }
+}
+
+/**
+ * Parse an "id=issuer,id2=issuer2" list (OIDC_PROVIDERS)
+ * @returns {Array} - [{ id, issuer }]
+ */
+function parseIssuerList(value) {
+    if (!value) {
+        return [];
+    }
+
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid OIDC provider entry "${entry}", expected id=https://issuer`);
+        }
+        return { id: entry.slice(0, separator).trim(), issuer: entry.slice(separator + 1).trim() };
+    });
+}
+
+module.exports = {
+    OidcDiscovery,
+    providerFromDiscovery,
+    validateDiscoveryDocument,
+    getDiscoveryUrl,
+    parseIssuerList,
+    toEnvPrefix,
+    DEFAULT_DISCOVERY_TTL
+};
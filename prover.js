@@ -0,0 +1,246 @@
+/**
+ * zkLogin Prover Clients
+ *
+ * This module provides the clients that turn a session's JWT and ephemeral key
+ * data into zkLogin proof inputs (proofPoints, issBase64Details, headerBase64).
+ * All clients expose the same generateProof() method so ZkLogin can use any of them.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Default prover endpoints
+ */
+const DEFAULT_PROVER_URLS = {
+    mysten: 'https://prover-dev.mystenlabs.com/v1',
+    enoki: 'https://api.enoki.mystenlabs.com/v1/zklogin/zkp'
+};
+
+/**
+ * Validate the proof request shared by every prover client
+ */
+function validateProofRequest(request) {
+    const required = ['jwt', 'extendedEphemeralPublicKey', 'maxEpoch', 'randomness', 'salt'];
+    const missing = required.filter((field) => request[field] === undefined || request[field] === null);
+    if (missing.length > 0) {
+        throw new Error(`Missing proof request fields: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Check that a prover response carries all zkLogin proof inputs
+ */
+function normalizeProof(data) {
+    if (!data || !data.proofPoints || !data.issBase64Details || !data.headerBase64) {
+        throw new Error('Prover response is missing proofPoints, issBase64Details or headerBase64');
+    }
+
+    return {
+        proofPoints: data.proofPoints,
+        issBase64Details: data.issBase64Details,
+        headerBase64: data.headerBase64
+    };
+}
+
+/**
+ * Describe an axios error without leaking request data
+ */
+function describeRequestError(error) {
+    if (error.response) {
+        const details = error.response.data && (error.response.data.message || JSON.stringify(error.response.data));
+        return `HTTP ${error.response.status}${details ? `: ${details}` : ''}`;
+    }
+    return error.message;
+}
+
+/**
+ * Compute the issBase64Details of a JWT: the base64url slice of the payload
+ * that covers the "iss" claim, and its offset modulo 4.
+ */
+function computeIssBase64Details(jwt) {
+    const payloadBase64 = jwt.split('.')[1];
+    // latin1 keeps a one-to-one mapping between characters and payload bytes
+    const payload = Buffer.from(payloadBase64, 'base64url').toString('latin1');
+    const match = /"iss"\s*:\s*"[^"]*"\s*[,}]/.exec(payload);
+    if (!match) {
+        throw new Error('JWT payload has no iss claim');
+    }
+
+    const start = match.index;
+    const end = start + match[0].length;
+    const firstChar = Math.floor((start * 8) / 6);
+    const lastChar = Math.floor((end * 8 - 1) / 6);
+
+    return {
+        value: payloadBase64.slice(firstChar, lastChar + 1),
+        indexMod4: firstChar % 4
+    };
+}
+
+/**
+ * Decode issBase64Details back to the "iss" claim value
+ */
+function decodeIssBase64Details(details) {
+    const offset = details.indexMod4 % 4;
+    if (offset === 3) {
+        throw new Error('Invalid issBase64Details: indexMod4 cannot be 3');
+    }
+
+    // Pad to a 4-character boundary, then drop the bytes made of padding bits
+    const bytes = Buffer.from('A'.repeat(offset) + details.value, 'base64url').subarray(offset);
+    const claim = bytes.toString('latin1').replace(/[,}]$/, '');
+    const parsed = JSON.parse(`{${claim}}`);
+    if (typeof parsed.iss !== 'string') {
+        throw new Error('Invalid issBase64Details: no iss claim');
+    }
+    return parsed.iss;
+}
+
+/**
+ * Client for the Mysten Labs prover HTTP API
+ */
+class MystenProverClient {
+    constructor(options = {}) {
+        this.url = options.url || DEFAULT_PROVER_URLS.mysten;
+        this.timeout = options.timeout || 60000;
+    }
+
+    /**
+     * Request proof inputs from the prover service
+     */
+    async generateProof(request) {
+        validateProofRequest(request);
+
+        try {
+            const response = await axios.post(this.url, {
+                jwt: request.jwt,
+                extendedEphemeralPublicKey: request.extendedEphemeralPublicKey,
+                maxEpoch: String(request.maxEpoch),
+                jwtRandomness: String(request.randomness),
+                salt: String(request.salt),
+                keyClaimName: request.keyClaimName || 'sub'
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: this.timeout
+            });
+
+            return normalizeProof(response.data);
+        } catch (error) {
+            throw new Error(`Mysten prover request failed: ${describeRequestError(error)}`);
+        }
+    }
+}
+
+/**
+ * Client for the Enoki zkp endpoint
+ *
+ * Enoki derives proofs with the salt it manages for the app, so this client
+ * only yields usable signatures when the session salt matches Enoki's salt.
+ */
+class EnokiProverClient {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new Error('apiKey is required for the Enoki prover');
+        }
+        this.url = options.url || DEFAULT_PROVER_URLS.enoki;
+        this.apiKey = options.apiKey;
+        this.network = options.network || 'testnet';
+        this.timeout = options.timeout || 60000;
+    }
+
+    /**
+     * Request proof inputs from Enoki
+     */
+    async generateProof(request) {
+        validateProofRequest(request);
+        if (!request.ephemeralPublicKey) {
+            throw new Error('Missing proof request fields: ephemeralPublicKey');
+        }
+
+        try {
+            const response = await axios.post(this.url, {
+                network: this.network,
+                ephemeralPublicKey: request.ephemeralPublicKey,
+                maxEpoch: Number(request.maxEpoch),
+                randomness: String(request.randomness)
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'zklogin-jwt': request.jwt
+                },
+                timeout: this.timeout
+            });
+
+            return normalizeProof(response.data && response.data.data);
+        } catch (error) {
+            throw new Error(`Enoki prover request failed: ${describeRequestError(error)}`);
+        }
+    }
+}
+
+/**
+ * Local prover for tests and offline development
+ *
+ * Header and issuer details are taken from the JWT so the inputs parse like real
+ * ones; the proof points are derived from the request and will not verify on chain.
+ */
+class MockProverClient {
+    constructor() {
+        this.requests = [];
+    }
+
+    /**
+     * Produce deterministic proof inputs for the request
+     */
+    async generateProof(request) {
+        validateProofRequest(request);
+        this.requests.push(request);
+
+        const digest = (label) => BigInt('0x' + crypto.createHash('sha256')
+            .update(`${label}:${request.jwt}:${request.extendedEphemeralPublicKey}:${request.maxEpoch}:${request.randomness}:${request.salt}`)
+            .digest('hex')).toString();
+
+        return {
+            proofPoints: {
+                a: [digest('a0'), digest('a1'), '1'],
+                b: [[digest('b00'), digest('b01')], [digest('b10'), digest('b11')], ['1', '0']],
+                c: [digest('c0'), digest('c1'), '1']
+            },
+            issBase64Details: computeIssBase64Details(request.jwt),
+            headerBase64: request.jwt.split('.')[0]
+        };
+    }
+}
+
+/**
+ * Create a prover client from configuration
+ * @param {Object} options - { type: 'mysten' | 'enoki' | 'mock', url, apiKey, network, timeout }
+ * @returns {Object} - Prover client with a generateProof() method
+ */
+function createProverClient(options = {}) {
+    const type = options.type || 'mysten';
+
+    switch (type) {
+        case 'mysten':
+            return new MystenProverClient(options);
+        case 'enoki':
+            return new EnokiProverClient(options);
+        case 'mock':
+            return new MockProverClient(options);
+        default:
+            throw new Error(`Unsupported prover type: ${type}`);
+    }
+}
+
+module.exports = {
+    MystenProverClient,
+    EnokiProverClient,
+    MockProverClient,
+    createProverClient,
+    computeIssBase64Details,
+    decodeIssBase64Details,
+    describeRequestError,
+    DEFAULT_PROVER_URLS
+};
@@ -0,0 +1,37 @@
+/**
+ * Rotate the master key that encrypts stored user salts
+ *
+ * Re-wraps every salt's data key with the current master key (and encrypts
+ * rows stored before encryption was enabled). Salt values never change.
+ *
+ * To rotate: add the new key to SALT_MASTER_KEYS next to the old one, e.g.
+ *   SALT_MASTER_KEYS=2:<new secret>,1:<old secret>
+ * run this script, then remove the old key once it reports no rows left on it.
+ *
+ * Usage: node rotate-salt-keys.js [storageUrl]
+ */
+
+require('dotenv').config();
+const { UserSaltDatabase, resolveSaltStorageUrl } = require('./database');
+
+async function rotateSaltKeys() {
+    const dbPath = process.argv[2] || resolveSaltStorageUrl();
+    const database = new UserSaltDatabase(dbPath);
+
+    try {
+        console.log('🔑 Rotating salt encryption keys in', database.dbPath);
+        const result = await database.rotateSaltKeys();
+        const stats = await database.getStats();
+
+        console.log(`✅ Master key version ${result.keyVersion}: ${result.rotated} re-wrapped, ${result.encrypted} newly encrypted, ${result.unchanged} already current`);
+        console.log(`   Salt history: ${result.history.rotated} re-wrapped, ${result.history.encrypted} newly encrypted, ${result.history.unchanged} already current`);
+        console.log('📊 Rows per key version:', stats.keyVersions);
+    } finally {
+        await database.close();
+    }
+}
+
+rotateSaltKeys().catch((error) => {
+    console.error('❌ Salt key rotation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * Deterministic Salt Derivation
+ *
+ * Derives a user's salt from a master seed and the JWT's iss, aud and sub
+ * claims with HKDF, as Mysten's salt service does, so nothing has to be
+ * stored (the hkdf strategy in salt-provider.js). Losing the seed loses every
+ * derived address, so it needs the same care as a wallet key.
+ */
+
+const crypto = require('crypto');
+const { resolveAudience } = require('./address-derivation');
+const { ZkLoginError } = require('./errors');
+
+// 16 bytes keeps the salt inside the BN254 field
+const DERIVED_SALT_LENGTH = 16;
+
+const MIN_SEED_LENGTH = 32;
+
+/**
+ * Check that a master seed is long enough to derive salts from
+ */
+function validateSaltSeed(seed) {
+    if (!seed || Buffer.byteLength(seed) < MIN_SEED_LENGTH) {
+        throw new ZkLoginError(`Salt seed must be at least ${MIN_SEED_LENGTH} bytes`, 'SALT_SEED_INVALID');
+    }
+    return seed;
+}
+
+/**
+ * Derive a user's salt
+ * HKDF-SHA256 with the seed as key material, iss || aud as the HKDF salt and
+ * sub as the info, matching Mysten's salt service.
+ * @param {string|Buffer} seed - Master seed
+ * @param {Object} claims - JWT payload with iss, aud and sub
+ * @param {Object} [options] - { clientId } to pick the audience of multi-audience tokens
+ * @returns {string} - Salt as hex
+ */
+function deriveUserSalt(seed, claims, options = {}) {
+    validateSaltSeed(seed);
+    if (!claims.iss || !claims.sub) {
+        throw new ZkLoginError('JWT must carry iss and sub to derive a salt', 'JWT_CLAIM_INVALID');
+    }
+
+    const aud = resolveAudience(claims.aud, options.clientId);
+    const salt = crypto.hkdfSync('sha256', seed, Buffer.from(claims.iss + aud), Buffer.from(claims.sub), DERIVED_SALT_LENGTH);
+    return Buffer.from(salt).toString('hex');
+}
+
+module.exports = {
+    validateSaltSeed,
+    deriveUserSalt
+};
@@ -0,0 +1,146 @@
+/**
+ * Salt Encryption Keyring
+ *
+ * User salts are envelope-encrypted: each salt is encrypted with its own random
+ * data key, and the data key is wrapped with a versioned master key from the
+ * environment. Both ciphertexts are bound to the user and provider they belong
+ * to, so a value copied into another row does not decrypt.
+ *
+ * Rotating the master key only re-wraps data keys, so salts (and the addresses
+ * derived from them) never change.
+ *
+ *   SALT_MASTER_KEYS=2:<secret>,1:<old secret>   versioned master keys
+ *   SALT_MASTER_KEY=<secret>                      shorthand for version 1
+ *   SALT_MASTER_KEY_VERSION=2                     version used for new rows (default: highest)
+ */
+
+const crypto = require('crypto');
+const { deriveKey, encrypt, decrypt } = require('./encryption');
+const { ZkLoginError } = require('./errors');
+
+const DATA_KEY_LENGTH = 32;
+
+/**
+ * Associated data binding a ciphertext to its owner
+ */
+function getContext({ userIdentifier, provider }) {
+    return `${provider}\u0000${userIdentifier}`;
+}
+
+class SaltKeyring {
+    /**
+     * @param {Object} keys - Master key secrets by version, e.g. { 1: 'old', 2: 'new' }
+     * @param {number} [currentVersion] - Version used to wrap new data keys (default: highest)
+     */
+    constructor(keys, currentVersion) {
+        this.masterKeys = new Map();
+        for (const [version, secret] of Object.entries(keys || {})) {
+            const number = Number(version);
+            if (!Number.isInteger(number) || number < 1 || !secret) {
+                throw new ZkLoginError(`Invalid salt master key version: ${version}`, 'SALT_KEY_INVALID');
+            }
+            this.masterKeys.set(number, deriveKey(secret, 'zklogin-salt-master-key'));
+        }
+        if (this.masterKeys.size === 0) {
+            throw new ZkLoginError('At least one salt master key is required', 'SALT_KEY_INVALID');
+        }
+
+        this.currentVersion = currentVersion !== undefined
+            ? Number(currentVersion)
+            : Math.max(...this.masterKeys.keys());
+        this.getMasterKey(this.currentVersion);
+    }
+
+    /**
+     * Build a keyring from SALT_MASTER_KEYS / SALT_MASTER_KEY
+     * @returns {SaltKeyring|null} - null when no master key is configured
+     */
+    static fromEnv(env = process.env) {
+        const keys = {};
+        if (env.SALT_MASTER_KEY) {
+            keys[1] = env.SALT_MASTER_KEY;
+        }
+        for (const entry of (env.SALT_MASTER_KEYS || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+            const separator = entry.indexOf(':');
+            if (separator === -1) {
+                throw new ZkLoginError('SALT_MASTER_KEYS entries must be <version>:<secret>', 'SALT_KEY_INVALID');
+            }
+            keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+        }
+
+        if (Object.keys(keys).length === 0) {
+            return null;
+        }
+        return new SaltKeyring(keys, env.SALT_MASTER_KEY_VERSION || undefined);
+    }
+
+    /**
+     * Get the master key for a version
+     */
+    getMasterKey(version) {
+        const key = this.masterKeys.get(Number(version));
+        if (!key) {
+            throw new ZkLoginError(`No salt master key for version ${version}`, 'SALT_KEY_MISSING', { version: Number(version) });
+        }
+        return key;
+    }
+
+    /**
+     * Encrypt a salt under a fresh data key wrapped with the current master key
+     * @param {string} salt - Salt value
+     * @param {Object} owner - { userIdentifier, provider }
+     * @returns {Object} - { ciphertext, wrappedKey, keyVersion }
+     */
+    seal(salt, owner) {
+        const context = getContext(owner);
+        const dataKey = crypto.randomBytes(DATA_KEY_LENGTH);
+        return {
+            ciphertext: encrypt(String(salt), dataKey, context),
+            wrappedKey: encrypt(dataKey, this.getMasterKey(this.currentVersion), context),
+            keyVersion: this.currentVersion
+        };
+    }
+
+    /**
+     * Unwrap the data key of a sealed salt
+     */
+    unwrapDataKey(sealed, owner) {
+        const masterKey = this.getMasterKey(sealed.keyVersion);
+        try {
+            return decrypt(sealed.wrappedKey, masterKey, getContext(owner));
+        } catch (error) {
+            throw new ZkLoginError(`Could not unwrap salt key: ${error.message}`, 'SALT_DECRYPTION_FAILED', { keyVersion: sealed.keyVersion });
+        }
+    }
+
+    /**
+     * Decrypt a sealed salt
+     * @param {Object} sealed - { ciphertext, wrappedKey, keyVersion }
+     * @param {Object} owner - { userIdentifier, provider }
+     * @returns {string} - Salt value
+     */
+    open(sealed, owner) {
+        const dataKey = this.unwrapDataKey(sealed, owner);
+        try {
+            return decrypt(sealed.ciphertext, dataKey, getContext(owner)).toString('utf8');
+        } catch (error) {
+            throw new ZkLoginError(`Could not decrypt salt: ${error.message}`, 'SALT_DECRYPTION_FAILED', { keyVersion: sealed.keyVersion });
+        }
+    }
+
+    /**
+     * Re-wrap a sealed salt's data key with the current master key
+     * The salt ciphertext is kept as it is.
+     * @returns {Object} - { ciphertext, wrappedKey, keyVersion }
+     */
+    rewrap(sealed, owner) {
+        const dataKey = this.unwrapDataKey(sealed, owner);
+        return {
+            ciphertext: sealed.ciphertext,
+            wrappedKey: encrypt(dataKey, this.getMasterKey(this.currentVersion), getContext(owner)),
+            keyVersion: this.currentVersion
+        };
+    }
+}
+
+module.exports = { SaltKeyring };
@@ -0,0 +1,163 @@
+/**
+ * User Salt Providers
+ *
+ * Where a user's salt comes from:
+ *   static - one configured salt for every user (demos and tests)
+ *   random - a random salt generated and stored per user (UserSaltDatabase)
+ *   hkdf   - derived from a master seed (see salt-derivation.js); salts stored
+ *            in the database as overrides still take precedence
+ *   remote - fetched from a salt service (salt-service.js, or Mysten's) by
+ *            posting the user's JWT
+ *
+ * Every provider exposes getSalt({ jwt, payload, subject, provider, clientId })
+ * resolving to the salt as hex, the form stored and passed to the prover.
+ */
+
+const axios = require('axios');
+const { deriveUserSalt, validateSaltSeed } = require('./salt-derivation');
+const { describeRequestError } = require('./prover');
+const { ZkLoginError } = require('./errors');
+
+const SALT_STRATEGIES = ['static', 'random', 'hkdf', 'remote'];
+
+const DEFAULT_SALT_SERVICE_TIMEOUT = 10 * 1000;
+
+/**
+ * Check a salt strategy name
+ */
+function validateSaltStrategy(strategy) {
+    if (!SALT_STRATEGIES.includes(strategy)) {
+        throw new ZkLoginError(
+            `Unsupported salt strategy: ${strategy} (expected one of ${SALT_STRATEGIES.join(', ')})`,
+            'SALT_STRATEGY_UNSUPPORTED'
+        );
+    }
+    return strategy;
+}
+
+/**
+ * Same salt for every user
+ */
+class StaticSaltProvider {
+    constructor(options = {}) {
+        this.salt = options.salt || '0';
+    }
+
+    async getSalt() {
+        return this.salt;
+    }
+}
+
+/**
+ * Random salt generated on first sign-in and stored per user
+ */
+class DatabaseSaltProvider {
+    constructor(options = {}) {
+        if (!options.database) {
+            throw new Error('The random salt strategy requires useDatabase');
+        }
+        this.database = options.database;
+    }
+
+    async getSalt({ subject, provider }) {
+        const salt = await this.database.getOrCreateUserSalt(subject, provider);
+        console.log(`Using custom salt from database for user ${subject}`);
+        return salt;
+    }
+}
+
+/**
+ * Salt derived from a master seed, unless the database holds an override
+ * A generated salt that was never migrated is refused rather than silently
+ * replaced, since that would move the user to a new address.
+ */
+class DerivedSaltProvider {
+    constructor(options = {}) {
+        this.seed = validateSaltSeed(options.seed);
+        this.database = options.database || null;
+    }
+
+    async getSalt({ payload, subject, provider, clientId }) {
+        const stored = this.database ? await this.database.getSaltRecord(subject, provider) : null;
+        if (stored && stored.source === 'override') {
+            console.log(`Using salt override from database for user ${subject}`);
+            return stored.salt;
+        }
+        if (stored) {
+            throw new ZkLoginError(
+                'User has a generated salt that was not migrated; run migrate-salts-to-hkdf.js',
+                'SALT_MIGRATION_REQUIRED'
+            );
+        }
+        return deriveUserSalt(this.seed, payload, { clientId });
+    }
+}
+
+/**
+ * Salt fetched from a salt service
+ * Request and response follow Mysten's salt service: POST { token } and
+ * { salt } with the salt as a decimal string.
+ */
+class RemoteSaltProvider {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('The remote salt strategy requires a salt service URL');
+        }
+        this.url = options.url;
+        this.apiKey = options.apiKey;
+        this.timeout = options.timeout || DEFAULT_SALT_SERVICE_TIMEOUT;
+    }
+
+    async getSalt({ jwt }) {
+        let response;
+        try {
+            response = await axios.post(this.url, { token: jwt }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                timeout: this.timeout
+            });
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            throw new ZkLoginError(
+                `Salt service request failed: ${describeRequestError(error)}`,
+                status && status < 500 ? 'SALT_SERVICE_REJECTED' : 'SALT_SERVICE_UNAVAILABLE',
+                status ? { status } : {}
+            );
+        }
+
+        const salt = response.data && response.data.salt;
+        if (typeof salt !== 'string' || !/^\d+$/.test(salt)) {
+            throw new ZkLoginError('Salt service returned no decimal salt', 'SALT_SERVICE_UNAVAILABLE');
+        }
+        return BigInt(salt).toString(16);
+    }
+}
+
+/**
+ * Create a salt provider for a strategy
+ * @param {Object} options - { strategy, salt, database, seed, url, apiKey, timeout }
+ */
+function createSaltProvider(options = {}) {
+    switch (validateSaltStrategy(options.strategy || 'static')) {
+        case 'random':
+            return new DatabaseSaltProvider(options);
+        case 'hkdf':
+            return new DerivedSaltProvider(options);
+        case 'remote':
+            return new RemoteSaltProvider(options);
+        default:
+            return new StaticSaltProvider(options);
+    }
+}
+
+module.exports = {
+    SALT_STRATEGIES,
+    validateSaltStrategy,
+    createSaltProvider,
+    StaticSaltProvider,
+    DatabaseSaltProvider,
+    DerivedSaltProvider,
+    RemoteSaltProvider
+};
@@ -0,0 +1,158 @@
+/**
+ * zkLogin Salt Service
+ *
+ * Returns a user's salt for a verified JWT, in the request and response format
+ * of Mysten's salt service:
+ *
+ *   POST /get_salt  { "token": "<jwt>" }  ->  { "salt": "<decimal string>" }
+ *
+ * The token must be signed by a registered provider and issued to that
+ * provider's configured client ID. Run it on its own with
+ * `node salt-service.js`, or mount createSaltServiceRouter() in another app;
+ * ZkLogin instances then use it through the remote salt strategy.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { decodeJwt } = require('jose');
+const { PROVIDERS, getProviderCredentials } = require('./zklogin');
+const { JwtVerifier } = require('./jwt-verifier');
+const { toSaltBigInt } = require('./address-derivation');
+const { createSaltProvider } = require('./salt-provider');
+const { ZkLoginError, JwtVerificationError } = require('./errors');
+
+/**
+ * Find the provider whose issuer matches a token's iss claim
+ * "{tenantid}" in a provider issuer matches any single path segment.
+ * @returns {string} - Provider id
+ */
+function findProviderByIssuer(iss) {
+    const matches = (issuer) => {
+        if (!issuer.includes('{tenantid}')) {
+            return issuer === iss;
+        }
+        const [before, after] = issuer.split('{tenantid}');
+        return iss.startsWith(before) && iss.endsWith(after) && !iss.slice(before.length, iss.length - after.length).includes('/');
+    };
+
+    const providerId = Object.keys(PROVIDERS).find((id) => {
+        const issuers = [].concat(PROVIDERS[id].issuer || []);
+        return issuers.some(matches);
+    });
+    if (!providerId) {
+        throw new JwtVerificationError(`No provider is registered for issuer ${iss}`, 'JWT_ISSUER_INVALID', { iss });
+    }
+    return providerId;
+}
+
+/**
+ * Constant-time check of the Authorization header against the API key
+ */
+function hasValidApiKey(req, apiKey) {
+    const expected = Buffer.from(`Bearer ${apiKey}`);
+    const given = Buffer.from(req.get('authorization') || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * HTTP status for a salt service error
+ */
+function getErrorStatus(error) {
+    if (error instanceof JwtVerificationError) {
+        return error.code === 'JWKS_UNAVAILABLE' ? 503 : 401;
+    }
+    if (error instanceof ZkLoginError) {
+        return ['SALT_SERVICE_UNAVAILABLE', 'SALT_KEY_MISSING'].includes(error.code) ? 503 : 400;
+    }
+    return 500;
+}
+
+/**
+ * Create the salt service routes
+ * @param {Object} options
+ * @param {Object} options.saltProvider - Provider the salts come from (random or hkdf)
+ * @param {JwtVerifier} [options.jwtVerifier] - Verifier for the posted tokens
+ * @param {Function} [options.getClientId] - Client ID tokens of a provider must be issued to
+ * @param {string} [options.apiKey] - Require "Authorization: Bearer <apiKey>" when set
+ * @returns {express.Router}
+ */
+function createSaltServiceRouter(options) {
+    const { saltProvider, apiKey } = options;
+    const jwtVerifier = options.jwtVerifier || new JwtVerifier();
+    const getClientId = options.getClientId || ((providerId) => getProviderCredentials(providerId).clientId);
+
+    const router = express.Router();
+    router.use(express.json());
+
+    router.post('/get_salt', async (req, res) => {
+        try {
+            if (apiKey && !hasValidApiKey(req, apiKey)) {
+                return res.status(401).json({ error: 'Invalid or missing API key', code: 'SALT_SERVICE_UNAUTHORIZED' });
+            }
+
+            const { token } = req.body || {};
+            if (typeof token !== 'string' || !token) {
+                return res.status(400).json({ error: 'Missing required field: token', code: 'SALT_REQUEST_INVALID' });
+            }
+
+            let iss;
+            try {
+                iss = decodeJwt(token).iss;
+            } catch (error) {
+                throw new JwtVerificationError(`Malformed JWT: ${error.message}`, 'JWT_MALFORMED');
+            }
+            const providerId = findProviderByIssuer(String(iss));
+            const clientId = getClientId(providerId);
+            if (!clientId) {
+                throw new JwtVerificationError(`Provider ${providerId} is not enabled on this salt service`, 'JWT_AUDIENCE_INVALID');
+            }
+
+            const { payload } = await jwtVerifier.verify(token, {
+                providerId,
+                provider: PROVIDERS[providerId],
+                audience: clientId
+            });
+            const salt = await saltProvider.getSalt({
+                jwt: token,
+                payload,
+                subject: payload.sub,
+                provider: providerId,
+                clientId
+            });
+
+            res.json({ salt: toSaltBigInt(salt).toString() });
+        } catch (error) {
+            const status = getErrorStatus(error);
+            if (status === 500) {
+                console.error('❌ Salt service error:', error);
+            }
+            res.status(status).json({ error: error.message, code: error.code });
+        }
+    });
+
+    return router;
+}
+
+// Run as a standalone service
+if (require.main === module) {
+    const { UserSaltDatabase, resolveSaltStorageUrl } = require('./database');
+    const strategy = process.env.SALT_STRATEGY || 'random';
+    if (!['random', 'hkdf'].includes(strategy)) {
+        console.error(`❌ The salt service needs SALT_STRATEGY random or hkdf, not ${strategy}`);
+        process.exit(1);
+    }
+
+    const database = new UserSaltDatabase(resolveSaltStorageUrl());
+    const saltProvider = createSaltProvider({ strategy, database, seed: process.env.SALT_SEED });
+    const port = process.env.SALT_SERVICE_PORT || 3001;
+
+    const app = express();
+    app.use(createSaltServiceRouter({ saltProvider, apiKey: process.env.SALT_SERVICE_API_KEY }));
+    app.listen(port, () => {
+        console.log(`🧂 zkLogin salt service (${strategy}) running on port ${port}`);
+        console.log(`   POST /get_salt - Get the salt for a JWT`);
+    });
+}
+
+module.exports = { createSaltServiceRouter, findProviderByIssuer };
@@ -0,0 +1,142 @@
+/**
+ * Schema migrations
+ *
+ * Numbered files in migrations/ (001_initial_schema.js, ...) each export
+ * { description, up(storage) }. Versions already applied are recorded in the
+ * schema_migrations table; pending ones run in order, each in a transaction
+ * together with its schema_migrations row. Migrations only use the storage
+ * interface (see storage.js), so they run on every backend.
+ *
+ * A published migration is never edited: change the schema with a new file.
+ * Migrations run on first use of a storage backend and from `npm run migrate`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StorageError } = require('./errors');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATIONS_TABLE = {
+    name: 'schema_migrations',
+    columns: {
+        version: 'integer',
+        name: 'text',
+        applied_at: 'text'
+    },
+    primaryKey: 'version'
+};
+
+/**
+ * Load the migrations of a directory, ordered by version
+ * @param {string} [dir] - Directory of NNN_name.js files
+ * @returns {Array} - [{ version, name, description, up }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir).filter((file) => file.endsWith('.js')).map((file) => {
+        const match = file.match(/^(\d+)_([a-z0-9_]+)\.js$/);
+        if (!match) {
+            throw new StorageError(`Migration file names must look like 001_description.js: ${file}`, 'MIGRATION_INVALID');
+        }
+        const migration = require(path.join(dir, file));
+        if (typeof migration.up !== 'function') {
+            throw new StorageError(`Migration ${file} does not export up()`, 'MIGRATION_INVALID');
+        }
+        return { version: Number(match[1]), name: match[2], description: migration.description || match[2], up: migration.up };
+    });
+
+    migrations.sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new StorageError(`Two migrations have version ${migration.version}`, 'MIGRATION_INVALID');
+        }
+    });
+    return migrations;
+}
+
+/**
+ * Get the migrations recorded as applied
+ * @returns {Promise<Array>} - schema_migrations rows, oldest first
+ */
+async function getAppliedMigrations(storage) {
+    if (!(await storage.tableExists(MIGRATIONS_TABLE.name))) {
+        return [];
+    }
+    storage.registerTable(MIGRATIONS_TABLE);
+    return storage.find(MIGRATIONS_TABLE.name, {}, { orderBy: { version: 'asc' } });
+}
+
+function describeMigration({ version, name, description }) {
+    return { version, name, description };
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} storage - Backend from createStorage()
+ * @param {Object} [options] - { dryRun } to only list pending migrations, { migrations } instead of loadMigrations()
+ * @returns {Promise<Object>} - { version, applied, pending }; version is the latest applied migration (0 for none)
+ */
+async function migrate(storage, options = {}) {
+    const migrations = options.migrations || loadMigrations();
+    const applied = await getAppliedMigrations(storage);
+    const appliedVersions = new Set(applied.map((row) => row.version));
+    const pending = migrations.filter((migration) => !appliedVersions.has(migration.version));
+    let version = applied.length ? applied[applied.length - 1].version : 0;
+
+    if (options.dryRun || !pending.length) {
+        return { version, applied: [], pending: pending.map(describeMigration) };
+    }
+
+    await storage.defineTable(MIGRATIONS_TABLE);
+    const done = [];
+    for (const migration of pending) {
+        try {
+            await storage.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.insert(MIGRATIONS_TABLE.name, {
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: new Date().toISOString()
+                });
+            });
+        } catch (error) {
+            // Another instance applied it first
+            if (error.code === 'STORAGE_DUPLICATE_KEY') {
+                continue;
+            }
+            throw new StorageError(
+                `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+                'MIGRATION_FAILED',
+                { version: migration.version }
+            );
+        }
+        done.push(describeMigration(migration));
+        version = Math.max(version, migration.version);
+    }
+
+    return { version, applied: done, pending: [] };
+}
+
+// One migration run per backend per process
+const migrationRuns = new WeakMap();
+
+/**
+ * Apply pending migrations once per storage backend
+ * Callers share the first run; a failed run is retried on the next call.
+ */
+function ensureMigrated(storage) {
+    if (!migrationRuns.has(storage)) {
+        const run = migrate(storage);
+        migrationRuns.set(storage, run);
+        run.catch(() => migrationRuns.delete(storage));
+    }
+    return migrationRuns.get(storage);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getAppliedMigrations,
+    migrate,
+    ensureMigrated
+};
@@ -12,7 +12,32 @@ const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
 const axios = require('axios');
-const { ZkLogin, PROVIDERS } = require('./zklogin');
+const crypto = require('crypto');
+const { decodeJwt } = require('jose');
+const { ZkLogin, PROVIDERS, getProviderCredentials } = require('./zklogin');
+const { parseIssuerList, toEnvPrefix } = require('./oidc-discovery');
+const { getKeyScheme } = require('./key-schemes');
+const { computeCandidateAddresses } = require('./address-derivation');
+const { createSessionStore } = require('./session-store');
+const { SessionRegistry } = require('./session-registry');
+const { SignInNonceStore } = require('./sign-in-nonces');
+const { createStorage, redactStorageUrl } = require('./storage');
+const { UserSaltDatabase, resolveSaltStorageUrl } = require('./database');
+const { AccountStore } = require('./accounts');
+const { ensureMigrated } = require('./schema-migrations');
+const { UserDataStore, ownerKey, exportUserData, eraseUserData } = require('./user-data');
+const { createSignInMessage, formatSignInMessage, verifySignInMessage } = require('./sign-in');
+const { inspectZkLoginSignature, verifyZkLoginSignature } = require('./zklogin-signature');
+const { getNetworkProfile, toPublicProfile, createSuiClient } = require('./networks');
+const { validateSaltStrategy } = require('./salt-provider');
+const { validateSaltSeed } = require('./salt-derivation');
+const {
+    ZkLoginError,
+    JwtVerificationError,
+    TransactionExecutionError,
+    TransactionSimulationError,
+    SignatureVerificationError
+} = require('./errors');
 const { EnokiFlow } = require('@mysten/enoki');
 
 const app = express();
@@ -50,23 +75,127 @@ const upload = multer({
     }
 });
 
+// Active network profile (SUI_NETWORK, or inferred from SUI_RPC_URL)
+let network;
+try {
+    network = getNetworkProfile();
+} catch (error) {
+    console.error(`❌ Invalid SUI_NETWORK: ${error.message}`);
+    process.exit(1);
+}
+
 // Configuration from environment variables
 const config = {
-    googleClientId: process.env.GOOGLE_CLIENT_ID,
+    defaultProvider: process.env.DEFAULT_PROVIDER || 'google',
+    oidcProviders: parseIssuerList(process.env.OIDC_PROVIDERS),
     redirectUrl: process.env.REDIRECT_URL || 'http://localhost:3000/callback',
     keyScheme: process.env.KEY_SCHEME || 'ED25519',
-    suiRpcUrl: process.env.SUI_RPC_URL || 'https://fullnode.devnet.sui.io:443'
+    network,
+    prover: {
+        type: process.env.ZK_PROVER || 'mysten',
+        url: process.env.ZK_PROVER_URL,
+        apiKey: process.env.ENOKI_API_KEY,
+        network: process.env.ZK_PROVER_NETWORK || network.proverNetwork
+    },
+    jwtClockTolerance: process.env.JWT_CLOCK_TOLERANCE ? Number(process.env.JWT_CLOCK_TOLERANCE) : undefined,
+    sessionSecret: process.env.SESSION_SECRET,
+    sessionStore: process.env.SESSION_STORE || 'memory',
+    // A storage URL (see storage.js) replaces SESSION_STORE and SESSION_DB_PATH
+    sessionStoreUrl: process.env.SESSION_STORE_URL || process.env.STORAGE_URL,
+    sessionDbPath: process.env.SESSION_DB_PATH || './zklogin_sessions.db',
+    // Sessions end after SESSION_IDLE_TIMEOUT_MS without a request, and SESSION_MAX_AGE_MS
+    // after they were created (SESSION_TTL_MS is the older name of the latter)
+    sessionIdleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT_MS || String(2 * 60 * 60 * 1000), 10),
+    sessionMaxAge: parseInt(process.env.SESSION_MAX_AGE_MS || process.env.SESSION_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+    sessionSweepInterval: parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || String(60 * 1000), 10),
+    // Live sessions one IP address may hold in this process (0 for no limit)
+    maxSessionsPerIp: parseInt(process.env.MAX_SESSIONS_PER_IP || '20', 10),
+    // Unused sign-in messages one address or one IP address may hold (0 for no limit)
+    signInNoncesPerIp: parseInt(process.env.SIGN_IN_NONCES_PER_IP || '20', 10),
+    saltStorageUrl: resolveSaltStorageUrl(),
+    saltStrategy: process.env.SALT_STRATEGY || (process.env.SALT_SERVICE_URL ? 'remote' : 'random'),
+    saltSeed: process.env.SALT_SEED,
+    saltServiceUrl: process.env.SALT_SERVICE_URL,
+    saltServiceApiKey: process.env.SALT_SERVICE_API_KEY,
+    signInDomain: process.env.SIGN_IN_DOMAIN
 };
 
-// Validate required environment variables
-if (!config.googleClientId) {
-    console.error('❌ GOOGLE_CLIENT_ID is required in environment variables');
+/**
+ * Get the ids of providers whose client ID is configured
+ */
+function getEnabledProviders() {
+    return Object.keys(PROVIDERS).filter((id) => !!getProviderCredentials(id).clientId);
+}
+
+// Validate required environment variables (discovered providers are registered after startup)
+const oidcClientIdEnvs = config.oidcProviders.map(({ id }) => `${toEnvPrefix(id)}_CLIENT_ID`);
+if (getEnabledProviders().length === 0 && !oidcClientIdEnvs.some((name) => process.env[name])) {
+    const envNames = Object.values(PROVIDERS).map((provider) => provider.clientIdEnv).filter(Boolean).concat(oidcClientIdEnvs);
+    console.error(`❌ At least one OAuth client ID is required in environment variables (${envNames.join(', ')})`);
     process.exit(1);
 }
 
+try {
+    config.keyScheme = getKeyScheme(config.keyScheme).name;
+} catch (error) {
+    console.error(`❌ Invalid KEY_SCHEME: ${error.message}`);
+    process.exit(1);
+}
+
+try {
+    validateSaltStrategy(config.saltStrategy);
+    if (config.saltStrategy === 'hkdf') {
+        validateSaltSeed(config.saltSeed);
+    } else if (config.saltStrategy === 'remote' && !config.saltServiceUrl) {
+        throw new ZkLoginError('The remote salt strategy requires SALT_SERVICE_URL', 'SALT_STRATEGY_UNSUPPORTED');
+    } else if (config.saltStrategy === 'static') {
+        throw new ZkLoginError('The static salt strategy gives every user the same salt and is not served', 'SALT_STRATEGY_UNSUPPORTED');
+    }
+} catch (error) {
+    console.error(`❌ Invalid salt configuration: ${error.message}`);
+    process.exit(1);
+}
+
+if (!config.sessionSecret) {
+    // Without a fixed secret, stored sessions cannot be decrypted after a restart
+    console.warn('⚠️ SESSION_SECRET is not set; using a random secret for this process only');
+    config.sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+if (!config.signInDomain) {
+    console.warn('⚠️ SIGN_IN_DOMAIN is not set; Sign in with Sui messages will be refused');
+}
+
+/**
+ * Register the providers listed in OIDC_PROVIDERS through OpenID Connect discovery
+ * An issuer that fails discovery is logged and left out; the others still load.
+ */
+async function registerDiscoveredProviders() {
+    for (const { id, issuer } of config.oidcProviders) {
+        try {
+            const provider = await ZkLogin.discoverProvider(id, issuer, {
+                name: process.env[`${toEnvPrefix(id)}_NAME`]
+            });
+            console.log(`🔎 Discovered OIDC provider ${id} (${provider.issuer}, ${provider.responseType})`);
+        } catch (error) {
+            console.error(`❌ OIDC discovery failed for ${id} (${issuer}):`, error.message);
+        }
+    }
+}
+
+const providersReady = registerDiscoveredProviders();
+
 // Middleware
+// Behind a proxy, req.ip (used for the per-IP session cap) needs trust proxy, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+// Sessions may belong to discovered providers, so API calls wait for discovery to finish
+app.use('/api', (req, res, next) => {
+    providersReady.then(() => next(), next);
+});
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(uploadsDir)); // Serve uploaded images
 
@@ -89,8 +218,77 @@ function updateNFTContract(packageId, moduleName = 'photo_nft', functionName = '
     };
 }
 
-// In-memory session storage (in production, use Redis or database)
-const sessions = new Map();
+// Storage backends by URL, shared by the session store and every session's salt database
+const storageBackends = new Map();
+
+/**
+ * Get the storage backend for a URL, connecting on first use
+ */
+function getStorageBackend(url) {
+    if (!storageBackends.has(url)) {
+        storageBackends.set(url, createStorage(url));
+    }
+    return storageBackends.get(url);
+}
+
+// Persistent session store; sessions holds the live ZkLogin instances of this process
+let sessionStore;
+// Salts and accounts, unless a remote salt service holds the salts
+let saltDatabase;
+let accounts;
+// Uploads, mint records and erasure receipts, kept with the salts (or the sessions without a salt database)
+let userData;
+// Sign-in nonces, kept with the sessions so every instance accepts them
+let signInNonces;
+try {
+    sessionStore = createSessionStore({
+        storage: config.sessionStoreUrl ? getStorageBackend(config.sessionStoreUrl) : undefined,
+        type: config.sessionStore,
+        dbPath: config.sessionDbPath,
+        ttl: config.sessionMaxAge
+    });
+    // One salt database and account store serve every session
+    if (config.saltStrategy !== 'remote') {
+        saltDatabase = new UserSaltDatabase(config.saltStorageUrl, { storage: getStorageBackend(config.saltStorageUrl) });
+        accounts = new AccountStore(saltDatabase.storage);
+    }
+    userData = new UserDataStore(saltDatabase ? saltDatabase.storage : sessionStore.storage);
+    signInNonces = new SignInNonceStore(sessionStore.storage, {
+        maxPerClient: config.signInNoncesPerIp
+    });
+} catch (error) {
+    console.error(`❌ Invalid storage configuration: ${error.message}`);
+    process.exit(1);
+}
+
+// Apply pending schema migrations at startup; salt and session operations wait for them
+for (const [url, backend] of storageBackends) {
+    ensureMigrated(backend).then(({ version, applied }) => {
+        if (applied.length) {
+            console.log(`🗄️ Migrated ${redactStorageUrl(url)} to schema version ${version} (${applied.map((migration) => migration.name).join(', ')})`);
+        }
+    }, (error) => {
+        console.error(`❌ Schema migration failed for ${redactStorageUrl(url)}: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+// Live sessions of this process; evicted ones release their salt database handles
+const sessions = new SessionRegistry({
+    idleTimeout: config.sessionIdleTimeout,
+    maxAge: config.sessionMaxAge,
+    maxPerClient: config.maxSessionsPerIp,
+    onEvict: (session) => {
+        session.zkLogin.closeDatabase();
+        if (session.link) {
+            session.link.zkLogin.closeDatabase();
+        }
+    }
+});
+sessions.start(config.sessionSweepInterval, () => Promise.all([sessionStore.cleanup(), signInNonces.cleanup()]));
+
+// Client for checks that are not tied to a session
+const suiClient = createSuiClient(config.network);
 
 /**
  * Generate session ID
@@ -99,6 +297,181 @@ function generateSessionId() {
     return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Get the OAuth flow configured for a provider (<ID>_OAUTH_FLOW), if any
+ * Without one, ZkLogin uses the provider's default flow.
+ */
+function getProviderOAuthFlow(providerId) {
+    return process.env[`${toEnvPrefix(providerId)}_OAUTH_FLOW`] || undefined;
+}
+
+/**
+ * Get address derivation overrides for a provider (<ID>_KEY_CLAIM_NAME, <ID>_LEGACY_ADDRESS)
+ * Changing these changes the addresses users get, so set them before users sign in.
+ */
+function getProviderDerivation(providerId) {
+    const prefix = toEnvPrefix(providerId);
+    const legacyAddress = process.env[`${prefix}_LEGACY_ADDRESS`];
+
+    return {
+        keyClaimName: process.env[`${prefix}_KEY_CLAIM_NAME`] || undefined,
+        legacyAddress: legacyAddress === undefined ? undefined : legacyAddress === 'true'
+    };
+}
+
+/**
+ * Build the ZkLogin configuration for a session
+ * Secrets (client secret, salt seed, salt service key) are read here so they never land in the session store.
+ */
+function createZkLoginConfig(sessionConfig) {
+    return {
+        ...sessionConfig,
+        clientSecret: getProviderCredentials(sessionConfig.provider).clientSecret,
+        network: config.network.name,
+        suiClient,
+        prover: config.prover,
+        clockTolerance: config.jwtClockTolerance,
+        // With a remote salt service no salt database is opened here
+        useDatabase: config.saltStrategy !== 'remote',
+        dbPath: config.saltStorageUrl,
+        saltDatabase,
+        accounts,
+        saltStrategy: config.saltStrategy,
+        saltSeed: config.saltSeed,
+        saltServiceUrl: config.saltServiceUrl,
+        saltServiceApiKey: config.saltServiceApiKey
+    };
+}
+
+/**
+ * Build the stored session config for a provider
+ */
+function createSessionConfig(providerId) {
+    return {
+        provider: providerId,
+        clientId: getProviderCredentials(providerId).clientId,
+        redirectUrl: config.redirectUrl,
+        keyScheme: config.keyScheme,
+        oauthFlow: getProviderOAuthFlow(providerId),
+        ...getProviderDerivation(providerId)
+    };
+}
+
+/**
+ * Load a session, restoring it from the session store when this process has not seen it
+ * @returns {Promise<Object|null>} - Session with a live zkLogin instance, or null
+ */
+async function getSession(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+    const live = sessions.get(sessionId);
+    if (live) {
+        return live;
+    }
+
+    const record = await sessionStore.get(sessionId);
+    if (!record) {
+        return null;
+    }
+    if (sessions.expiresIn(record) === 0) {
+        await sessionStore.delete(sessionId);
+        return null;
+    }
+
+    const { zkLoginState, link, ...fields } = record;
+    const session = {
+        ...fields,
+        zkLogin: ZkLogin.deserialize(zkLoginState, config.sessionSecret, createZkLoginConfig(record.config))
+    };
+    // A pending account link has a login of its own
+    if (link) {
+        session.link = {
+            config: link.config,
+            zkLogin: ZkLogin.deserialize(link.zkLoginState, config.sessionSecret, createZkLoginConfig(link.config))
+        };
+    }
+    // The opening client is stored with the session, so restored sessions count towards its cap
+    sessions.set(sessionId, session, { client: session.client });
+    return session;
+}
+
+/**
+ * Save a session to the session store, encrypting its zkLogin state
+ * The stored copy expires after the idle timeout, or at the session's max age if sooner.
+ */
+async function saveSession(sessionId, session) {
+    const { zkLogin, link, ...fields } = session;
+    sessions.set(sessionId, session, { client: session.client });
+    await sessionStore.set(sessionId, {
+        ...fields,
+        zkLoginState: zkLogin.serialize(config.sessionSecret),
+        link: link ? { config: link.config, zkLoginState: link.zkLogin.serialize(config.sessionSecret) } : undefined
+    }, sessions.expiresIn(session));
+}
+
+/**
+ * Remove a session from this process and from the session store
+ */
+async function deleteSession(sessionId) {
+    sessions.evict(sessionId);
+    return sessionStore.delete(sessionId);
+}
+
+/**
+ * Resolve the user a session acts for: every identity of its account
+ * The session's login must be verified and unexpired.
+ * @returns {Promise<Object>} - { subject: { account, identities }, sources } for user-data.js
+ */
+async function getDataSubject(session) {
+    const zkLogin = session.zkLogin;
+    zkLogin.assertLoginCurrent();
+
+    let subject = { account: null, identities: [zkLogin.getIdentity()] };
+    if (zkLogin.accounts) {
+        const account = await zkLogin.getAccount();
+        subject = { account, identities: account.identities.map(({ current, ...identity }) => identity) };
+    }
+    return {
+        subject,
+        sources: {
+            saltDatabase: zkLogin.saltDatabase,
+            accounts: zkLogin.accounts,
+            sessionStore,
+            userData,
+            uploadsDir
+        }
+    };
+}
+
+/**
+ * Send an error response, keeping the code of typed zkLogin errors
+ */
+function sendError(res, error, status = 500) {
+    if (error instanceof JwtVerificationError || error instanceof SignatureVerificationError) {
+        status = 401;
+    } else if (error.code === 'EPOCH_UNAVAILABLE' || error.code === 'RPC_UNAVAILABLE' || error.code === 'SIGN_IN_UNAVAILABLE') {
+        status = 503;
+    } else if (error instanceof TransactionExecutionError || error instanceof TransactionSimulationError) {
+        status = 422;
+    } else if (error.code === 'LOGIN_REQUIRED') {
+        status = 401;
+    } else if (error.code === 'SALT_FORBIDDEN') {
+        status = 403;
+    } else if (error.code === 'SESSION_LIMIT_REACHED' || error.code === 'SIGN_IN_RATE_LIMITED') {
+        status = 429;
+    } else if (error instanceof ZkLoginError) {
+        status = 400;
+    }
+
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error instanceof ZkLoginError && Object.keys(error.details).length > 0 ? error.details : undefined
+    });
+}
+
 /**
  * API Routes
  */
@@ -114,51 +487,73 @@ app.get('/health', (req, res) => {
 
 // Get supported providers
 app.get('/api/providers', (req, res) => {
+    const enabled = getEnabledProviders();
+
     res.json({
         success: true,
+        defaultProvider: config.defaultProvider,
         providers: Object.keys(PROVIDERS).map(key => ({
             id: key,
-            name: PROVIDERS[key].name
+            name: PROVIDERS[key].name,
+            responseType: PROVIDERS[key].responseType,
+            oauthFlow: getProviderOAuthFlow(key) || (PROVIDERS[key].responseType === 'code' ? 'code' : 'implicit'),
+            discovered: !!PROVIDERS[key].discovered,
+            issuer: PROVIDERS[key].discovered ? PROVIDERS[key].issuer : undefined,
+            enabled: enabled.includes(key)
         }))
     });
 });
 
-// Initialize zkLogin session with Google OAuth
-app.post('/api/init', (req, res) => {
+// Public settings of the active network for the browser (never includes secrets)
+app.get('/api/config', (req, res) => {
+    res.json({
+        success: true,
+        network: toPublicProfile(config.network)
+    });
+});
+
+// Initialize zkLogin session for an OAuth provider
+app.post('/api/init', async (req, res) => {
     try {
+        const providerId = (req.body && req.body.provider) || config.defaultProvider;
+
+        if (!PROVIDERS[providerId]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported provider: ${providerId}`
+            });
+        }
+
+        const { clientId } = getProviderCredentials(providerId);
+        if (!clientId) {
+            return res.status(400).json({
+                success: false,
+                error: `Provider ${providerId} is not configured (set ${PROVIDERS[providerId].clientIdEnv})`
+            });
+        }
+
+        sessions.assertCanOpen(req.ip);
+
         const sessionId = generateSessionId();
-        const zkLogin = new ZkLogin({
-            provider: 'google',
-            clientId: config.googleClientId,
-            redirectUrl: config.redirectUrl,
-            keyScheme: config.keyScheme,
-            suiRpcUrl: config.suiRpcUrl,
-            useDatabase: true,
-            dbPath: './user_salts.db'
-        });
+        const sessionConfig = createSessionConfig(providerId);
         
-        sessions.set(sessionId, {
-            zkLogin,
+        await saveSession(sessionId, {
+            zkLogin: new ZkLogin(createZkLoginConfig(sessionConfig)),
             state: 'initialized',
-            createdAt: new Date(),
-            config: {
-                provider: 'google',
-                clientId: config.googleClientId,
-                redirectUrl: config.redirectUrl,
-                keyScheme: config.keyScheme
-            }
+            createdAt: new Date().toISOString(),
+            // IP address the session counts against (see MAX_SESSIONS_PER_IP)
+            client: req.ip,
+            config: sessionConfig
         });
         
         res.json({
             success: true,
             sessionId,
-            message: 'zkLogin session initialized with Google OAuth'
+            provider: providerId,
+            message: `zkLogin session initialized with ${PROVIDERS[providerId].name} OAuth`
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
@@ -167,14 +562,14 @@ app.post('/api/generate-keys', async (req, res) => {
     try {
         const { sessionId } = req.body;
         
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID'
             });
         }
         
-        const session = sessions.get(sessionId);
         const keyResult = session.zkLogin.generateEphemeralKeyPair();
         
         // Prepare JWT with environment configuration
@@ -188,377 +583,1071 @@ app.post('/api/generate-keys', async (req, res) => {
         const oauthUrl = session.zkLogin.buildOAuthUrl(sessionId);
         
         session.state = 'ready-for-oauth';
-        session.ephemeralKeyPair = session.zkLogin.ephemeralKeyPair; // Get ephemeralKeyPair from zkLogin instance
         session.maxEpoch = jwtResult.maxEpoch; // maxEpoch comes from prepareForJWT, not generateEphemeralKeyPair
         session.nonce = jwtResult.nonce;
         session.publicKey = keyResult.publicKey;
         session.oauthUrl = oauthUrl;
+        await saveSession(sessionId, session);
+        
+        res.json({
+            success: true,
+            sessionId: sessionId,
+            publicKey: keyResult.publicKey,
+            maxEpoch: jwtResult.maxEpoch, // Ensure correct maxEpoch is returned
+            oauthUrl: oauthUrl,
+            oauthFlow: session.zkLogin.getOAuthFlow(),
+            nonce: jwtResult.nonce,
+            randomness: jwtResult.randomness,
+            currentEpoch: jwtResult.currentEpoch,
+            message: `Ready for ${PROVIDERS[session.config.provider].name} OAuth login`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Prepare for JWT acquisition
+app.post('/api/prepare-jwt', async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+        const result = await zkLogin.prepareForJWT();
+        await saveSession(sessionId, session);
+
+        res.json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Process OAuth callback and JWT token
+app.post('/api/process-jwt', async (req, res) => {
+    try {
+        const { sessionId, code, state, jwt } = req.body;
+        
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid session ID'
+            });
+        }
+        
+        if (!jwt && !code) {
+            return res.status(400).json({
+                success: false,
+                error: 'JWT token or OAuth code is required'
+            });
+        }
+
+        // The OAuth state is the session ID; a mismatch means the code belongs to another login
+        if (state !== undefined && state !== sessionId) {
+            return res.status(400).json({
+                success: false,
+                error: 'OAuth state does not match session',
+                code: 'OAUTH_STATE_MISMATCH'
+            });
+        }
+
+        // Authorization codes are exchanged server-side with the PKCE verifier and client secret
+        const result = jwt
+            ? await session.zkLogin.processJWT(jwt)
+            : await session.zkLogin.processAuthorizationCode(code);
+        
+        session.state = 'jwt-processed';
+        session.userAddress = result.userAddress;
+        session.owner = ownerKey(session.zkLogin.getIdentity());
+        await saveSession(sessionId, session);
         
+        // Get JWT claims for UI display
+        const jwtClaims = session.zkLogin.getJWTClaims();
+        
+        // Keep the original nonce field for comparison, but also add jwtNonce for clarity
+        const jwtClaimsForUI = { ...jwtClaims };
+        if (jwtClaimsForUI.nonce) {
+            jwtClaimsForUI.jwtNonce = jwtClaimsForUI.nonce;
+            // Keep the original nonce field for comparison
+        }
+        
+        res.json({
+            success: true,
+            userAddress: result.userAddress,
+            subject: result.subject,
+            userSalt: result.userSalt,
+            jwtClaims: jwtClaimsForUI,
+            decodedJWT: result.decodedJWT,
+            message: 'JWT processed successfully'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Generate zkProof using the configured prover
+app.post('/api/generate-zkproof', async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+        
+        // Check if we have all required data for zkProof generation
+        const userAddress = zkLogin.getUserAddress();
+        const userSalt = zkLogin.getUserSalt();
+        const nonce = zkLogin.getNonce();
+        const ephemeralPublicKey = zkLogin.getEphemeralPublicKey();
+        const maxEpoch = zkLogin.maxEpoch;
+        const jwt = zkLogin.jwt;
+        
+        if (!userAddress || !userSalt || !nonce || !ephemeralPublicKey || !maxEpoch || !jwt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters for proof generation',
+                details: 'zkProof generation failed. Make sure JWT processing is completed.',
+                missing: {
+                    userAddress: !userAddress,
+                    userSalt: !userSalt,
+                    nonce: !nonce,
+                    ephemeralKeyPair: !ephemeralPublicKey,
+                    maxEpoch: !maxEpoch,
+                    jwt: !jwt
+                }
+            });
+        }
+
+        console.log(`🔍 Requesting zkProof from ${config.prover.type} prover...`);
+        const result = await zkLogin.generateZkProof();
+        session.state = 'proof-generated';
+        await saveSession(sessionId, session);
+
+        console.log('✅ zkProof generated for', userAddress);
+
+        res.json({
+            success: true,
+            zkProof: result.zkProof,
+            addressSeed: result.addressSeed,
+            message: `zkProof generated using ${config.prover.type} prover`,
+            parameters: {
+                userAddress,
+                userSalt,
+                nonce,
+                ephemeralPublicKey,
+                maxEpoch
+            }
+        });
+    } catch (error) {
+        console.error('❌ zkProof generation error:', error);
+        sendError(res, error);
+    }
+});
+
+// Create and sign transaction
+app.post('/api/create-transaction', async (req, res) => {
+    try {
+        const { sessionId, transactionData, zkProof } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        if (!transactionData) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction data is required'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+
+        // Fall back to the proof generated for this session
+        if (!zkProof && !zkLogin.getZkProof()) {
+            return res.status(400).json({
+                success: false,
+                error: 'zkProof is required for signing. Call /api/generate-zkproof first.'
+            });
+        }
+
+        const result = await zkLogin.createAndSignTransaction(transactionData, zkProof || undefined);
+
+        res.json({
+            success: true,
+            transactionBytes: Array.from(result.transactionBytes),
+            transactionBytesBase64: Buffer.from(result.transactionBytes).toString('base64'),
+            signature: result.signature,
+            simulation: result.simulation
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Dry-run a transaction: estimated gas, predicted changes and any abort reason
+app.post('/api/simulate-transaction', async (req, res) => {
+    try {
+        const { sessionId, transactionData } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        if (!transactionData) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction data is required'
+            });
+        }
+
+        const simulation = await session.zkLogin.simulateTransaction(transactionData);
+        res.json({ success: true, simulation });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Execute a signed transaction (or sign and execute transaction data) and wait for finality
+app.post('/api/execute-transaction', async (req, res) => {
+    try {
+        const { sessionId, transactionBytes, signature, transactionData, zkProof } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+        let result;
+        if (transactionBytes && signature) {
+            // Bytes come back from /api/create-transaction as a number array or base64
+            const bytes = Array.isArray(transactionBytes) ? Uint8Array.from(transactionBytes) : transactionBytes;
+            result = await zkLogin.executeTransaction(bytes, signature);
+        } else if (transactionData) {
+            if (!zkProof && !zkLogin.getZkProof()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'zkProof is required for signing. Call /api/generate-zkproof first.'
+                });
+            }
+            result = await zkLogin.signAndExecuteTransaction(transactionData, zkProof || undefined);
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Either transactionBytes and signature, or transactionData is required'
+            });
+        }
+
+        // Executed but failed on chain (Move abort, out of gas): gas was still charged
+        if (result.status === 'failure') {
+            return res.status(422).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code,
+                details: result.error.details,
+                result
+            });
+        }
+
+        // Submitted but finality could not be confirmed; the client can poll by digest
+        res.status(result.status === 'unknown' ? 202 : 200).json({ success: true, result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get session state
+app.get('/api/session/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+        const state = zkLogin.getState();
+
+        // Report key health without failing the whole lookup when the RPC is unreachable
+        let epoch;
+        try {
+            epoch = await zkLogin.getEpochStatus();
+        } catch (error) {
+            epoch = { error: error.message, code: error.code };
+        }
+
+        res.json({
+            success: true,
+            sessionId,
+            state,
+            epoch,
+            userAddress: zkLogin.getUserAddress(),
+            ephemeralPublicKey: zkLogin.getEphemeralPublicKey(),
+            nonce: zkLogin.getNonce(),
+            oauthUrl: zkLogin.getOAuthUrl()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rotate the ephemeral key of a session, keeping the user's salt and address
+app.post('/api/session/:sessionId/renew', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        const zkLogin = session.zkLogin;
+        const result = await zkLogin.renewEphemeralKey();
+        const oauthUrl = zkLogin.buildOAuthUrl(sessionId);
+
+        session.state = 'ready-for-oauth';
+        session.maxEpoch = result.maxEpoch;
+        session.nonce = result.nonce;
+        session.publicKey = result.publicKey;
+        session.oauthUrl = oauthUrl;
+        await saveSession(sessionId, session);
+
+        res.json({
+            success: true,
+            sessionId,
+            publicKey: result.publicKey,
+            userAddress: result.userAddress,
+            nonce: result.nonce,
+            currentEpoch: result.currentEpoch,
+            maxEpoch: result.maxEpoch,
+            oauthUrl,
+            oauthFlow: zkLogin.getOAuthFlow(),
+            message: 'Ephemeral key renewed; sign in again to continue'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// List the addresses the user's past and current salts produced
+app.get('/api/session/:sessionId/addresses', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        // Salts stay server-side; only the addresses are listed
+        const history = await session.zkLogin.getSaltHistory();
+        res.json({
+            success: true,
+            userAddress: session.zkLogin.getUserAddress(),
+            addresses: history.map(({ version, address, reason, activeFrom, activeUntil, current }) => ({
+                version, address, reason, activeFrom, activeUntil, current
+            }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Rotate the user's salt, optionally moving assets to the new address first
+app.post('/api/session/:sessionId/rotate-salt', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { salt, migrateAssets, objectIds } = req.body || {};
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        // Moving assets and re-keying the identity need a login that has not expired
+        session.zkLogin.assertLoginCurrent();
+        const result = await session.zkLogin.rotateUserSalt({ salt, migrateAssets: Boolean(migrateAssets), objectIds });
+        session.userAddress = result.userAddress;
+        await saveSession(sessionId, session);
+
+        res.json({
+            success: true,
+            previousAddress: result.previousAddress,
+            userAddress: result.userAddress,
+            migration: result.migration && {
+                objectIds: result.migration.objectIds,
+                digest: result.migration.execution.digest
+            },
+            message: result.migration
+                ? 'Salt rotated and assets moved to the new address'
+                : 'Salt rotated; assets at the previous address were not moved'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Get the domain sign-in messages are issued for and checked against
+ * Only SIGN_IN_DOMAIN is trusted: the Host header is whatever the caller sends.
+ * @throws {ZkLoginError} SIGN_IN_UNAVAILABLE when it is not set
+ */
+function getSignInDomain() {
+    if (!config.signInDomain) {
+        throw new ZkLoginError('Sign in with Sui is not available: SIGN_IN_DOMAIN is not set', 'SIGN_IN_UNAVAILABLE');
+    }
+    return config.signInDomain;
+}
+
+// Get the account of the signed-in identity, with the addresses and NFTs of every linked identity
+app.get('/api/session/:sessionId/account', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        const account = await session.zkLogin.getAccount({ includeNfts: req.query.nfts !== 'false' });
+        res.json({ success: true, account });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Start linking another provider's login to this session's account
+app.post('/api/session/:sessionId/link', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const providerId = req.body && req.body.provider;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+        if (!session.zkLogin.getUserAddress()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Sign in before linking another provider',
+                code: 'ACCOUNT_LINK_UNVERIFIED'
+            });
+        }
+        if (!PROVIDERS[providerId] || !getProviderCredentials(providerId).clientId) {
+            return res.status(400).json({
+                success: false,
+                error: `Provider ${providerId} is not supported or not configured`
+            });
+        }
+
+        // The second login gets its own ephemeral key and nonce, so its JWT is only valid for this link
+        const linkConfig = createSessionConfig(providerId);
+        const linkLogin = new ZkLogin(createZkLoginConfig(linkConfig));
+        linkLogin.generateEphemeralKeyPair();
+        await linkLogin.prepareForJWT();
+        const state = `${sessionId}:link`;
+        const oauthUrl = linkLogin.buildOAuthUrl(state);
+
+        if (session.link) {
+            session.link.zkLogin.closeDatabase();
+        }
+        session.link = { config: linkConfig, zkLogin: linkLogin };
+        await saveSession(sessionId, session);
+
+        res.json({
+            success: true,
+            sessionId,
+            provider: providerId,
+            oauthUrl,
+            oauthFlow: linkLogin.getOAuthFlow(),
+            state,
+            message: `Sign in with ${PROVIDERS[providerId].name} to link it to this account`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Finish linking with the second provider's JWT or authorization code
+app.post('/api/session/:sessionId/link/complete', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { jwt, code, state } = req.body || {};
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+        if (!session.link) {
+            return res.status(400).json({
+                success: false,
+                error: 'No account link was started for this session',
+                code: 'ACCOUNT_LINK_NOT_STARTED'
+            });
+        }
+        if (!jwt && !code) {
+            return res.status(400).json({
+                success: false,
+                error: 'JWT token or OAuth code is required'
+            });
+        }
+        if (state !== undefined && state !== `${sessionId}:link`) {
+            return res.status(400).json({
+                success: false,
+                error: 'OAuth state does not match the account link',
+                code: 'OAUTH_STATE_MISMATCH'
+            });
+        }
+
+        const linkLogin = session.link.zkLogin;
+        if (jwt) {
+            await linkLogin.processJWT(jwt);
+        } else {
+            await linkLogin.processAuthorizationCode(code);
+        }
+        const account = await session.zkLogin.linkIdentity(linkLogin);
+
+        linkLogin.closeDatabase();
+        delete session.link;
+        await saveSession(sessionId, session);
+
+        res.json({
+            success: true,
+            account,
+            message: `${PROVIDERS[linkLogin.config.provider].name} login linked to this account`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Move one of the account's identities into an account of its own
+app.post('/api/session/:sessionId/unlink', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { issuer, subject } = req.body || {};
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+        if (!issuer || !subject) {
+            return res.status(400).json({
+                success: false,
+                error: 'issuer and subject are required'
+            });
+        }
+
+        const accountId = await session.zkLogin.unlinkIdentity({ issuer, subject });
+        res.json({
+            success: true,
+            accountId,
+            account: await session.zkLogin.getAccount()
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Export everything held about the signed-in user as a JSON archive
+app.get('/api/session/:sessionId/data-export', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        const { subject, sources } = await getDataSubject(session);
+        const archive = await exportUserData(subject, sources);
+        res.set('Content-Disposition', `attachment; filename="zklogin-data-${archive.exportedAt.slice(0, 10)}.json"`);
+        res.json(archive);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Erase everything held about the signed-in user and return the erasure receipt
+app.post('/api/session/:sessionId/erase', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+        if (!req.body || req.body.confirm !== true) {
+            return res.status(400).json({
+                success: false,
+                error: 'Erasure cannot be undone; send { "confirm": true } to proceed',
+                code: 'ERASURE_NOT_CONFIRMED'
+            });
+        }
+
+        const { subject, sources } = await getDataSubject(session);
+        const receipt = await eraseUserData(subject, sources);
+
+        // Live sessions of the erased identities go too
+        const owners = new Set(subject.identities.map(ownerKey));
+        for (const [id, live] of sessions) {
+            if (id === sessionId || (live.owner && owners.has(live.owner))) {
+                await deleteSession(id);
+            }
+        }
+
+        console.log(`🧹 Erased user data (receipt ${receipt.receiptId})`);
+        res.json({
+            success: true,
+            receipt,
+            warning: receipt.onChain.notice
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get a stored erasure receipt
+app.get('/api/erasure-receipts/:receiptId', async (req, res) => {
+    try {
+        const receipt = await userData.getReceipt(req.params.receiptId);
+        if (!receipt) {
+            return res.status(404).json({
+                success: false,
+                error: 'Receipt not found'
+            });
+        }
+        res.json({ success: true, receipt });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Issue a sign-in message for the session's address (or a given address)
+app.post('/api/sign-in/message', async (req, res) => {
+    try {
+        const { sessionId, address, statement, uri } = req.body;
+
+        let signer = address;
+        if (sessionId) {
+            const session = await getSession(sessionId);
+            if (!session || !session.zkLogin.getUserAddress()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Session has no zkLogin address. Process a JWT first.'
+                });
+            }
+            signer = session.zkLogin.getUserAddress();
+        }
+        if (!signer) {
+            return res.status(400).json({
+                success: false,
+                error: 'sessionId or address is required'
+            });
+        }
+
+        const fields = createSignInMessage({
+            domain: getSignInDomain(),
+            address: signer,
+            statement,
+            uri,
+            chainId: config.network.chainId
+        });
+        await signInNonces.issue(fields.nonce, {
+            address: fields.address,
+            expiresAt: Date.parse(fields.expirationTime),
+            client: req.ip
+        });
+
+        res.json({ success: true, message: formatSignInMessage(fields), fields });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Sign a personal message with the session's zkLogin key
+app.post('/api/sign-personal-message', async (req, res) => {
+    try {
+        const { sessionId, message } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or missing session ID'
+            });
+        }
+
+        if (typeof message !== 'string' || !message) {
+            return res.status(400).json({
+                success: false,
+                error: 'message must be a non-empty string'
+            });
+        }
+
+        if (!session.zkLogin.getZkProof()) {
+            return res.status(400).json({
+                success: false,
+                error: 'zkProof is required for signing. Call /api/generate-zkproof first.'
+            });
+        }
+
+        const result = await session.zkLogin.signPersonalMessage(message);
         res.json({
             success: true,
-            sessionId: sessionId,
-            publicKey: keyResult.publicKey,
-            maxEpoch: jwtResult.maxEpoch, // Ensure correct maxEpoch is returned
-            oauthUrl: oauthUrl,
-            nonce: jwtResult.nonce,
-            randomness: jwtResult.randomness,
-            currentEpoch: jwtResult.currentEpoch,
-            message: 'Ready for Google OAuth login'
+            signature: result.signature,
+            bytes: result.bytes,
+            address: session.zkLogin.getUserAddress()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Prepare for JWT acquisition
-app.post('/api/prepare-jwt', async (req, res) => {
+// Verify a signed sign-in message and return the address that signed it
+app.post('/api/sign-in/verify', async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const { message, signature } = req.body;
 
-        if (!sessionId || !sessions.has(sessionId)) {
+        if (typeof message !== 'string' || typeof signature !== 'string') {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid or missing session ID'
+                error: 'message and signature are required'
             });
         }
 
-        const zkLogin = sessions.get(sessionId);
-        const result = await zkLogin.prepareForJWT();
+        const verified = await verifySignInMessage(suiClient, { message, signature }, {
+            domain: getSignInDomain(),
+            chainId: config.network.chainId
+        });
 
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        // Only nonces issued here to the signing address are accepted, and each only once
+        if (!(await signInNonces.consume(verified.fields.nonce, verified.address))) {
+            throw new SignatureVerificationError('Sign-in nonce was not issued by this server or was already used', 'SIGN_IN_NONCE_INVALID');
+        }
+
+        res.json({
+            success: true,
+            address: verified.address,
+            issuer: verified.issuer,
+            maxEpoch: verified.maxEpoch,
+            fields: verified.fields
         });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
-// Process OAuth callback and JWT token
-app.post('/api/process-jwt', async (req, res) => {
+// Set up a recoverable MultiSig account: the zkLogin identity plus backup public keys
+app.post('/api/multisig', async (req, res) => {
     try {
-        const { sessionId, code, state, jwt } = req.body;
-        
-        if (!sessionId || !sessions.has(sessionId)) {
+        const { sessionId, backupKeys, threshold, zkLoginWeight } = req.body;
+
+        const session = await getSession(sessionId);
+        if (!session || !session.zkLogin.getUserAddress()) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid session ID'
+                error: 'Session has no zkLogin address. Process a JWT first.'
             });
         }
-        
-        const session = sessions.get(sessionId);
-        
-        let jwtToken = jwt;
-        
-        // If we have OAuth code, exchange it for JWT
-        if (code && !jwt) {
-            try {
-                // Exchange authorization code for access token and ID token
-                const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                    },
-                    body: new URLSearchParams({
-                        client_id: config.googleClientId,
-                        code: code,
-                        grant_type: 'authorization_code',
-                        redirect_uri: config.redirectUrl
-                    })
-                });
-                
-                const tokenData = await tokenResponse.json();
-                
-                if (!tokenData.id_token) {
-                    throw new Error('No ID token received from Google');
-                }
-                
-                jwtToken = tokenData.id_token;
-            } catch (error) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Failed to exchange code for token: ${error.message}`
-                });
-            }
-        }
-        
-        if (!jwtToken) {
-            return res.status(400).json({
+
+        const multiSig = await session.zkLogin.configureMultiSig({ backupKeys, threshold, zkLoginWeight });
+        await saveSession(sessionId, session);
+
+        res.json({ success: true, multiSig, zkLoginAddress: session.zkLogin.getUserAddress() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get the session's MultiSig account and its zkLogin member key
+app.get('/api/multisig/:sessionId', async (req, res) => {
+    try {
+        const session = await getSession(req.params.sessionId);
+        if (!session || !session.zkLogin.getUserAddress()) {
+            return res.status(404).json({
                 success: false,
-                error: 'JWT token or OAuth code is required'
+                error: 'Session not found or not signed in'
             });
         }
-        
-        const result = await session.zkLogin.processJWT(jwtToken);
-        
-        session.state = 'jwt-processed';
-        session.userAddress = result.userAddress;
-        session.jwt = jwtToken;
-        
-        // Get JWT claims for UI display
-        const jwtClaims = session.zkLogin.getJWTClaims();
-        
-        // Keep the original nonce field for comparison, but also add jwtNonce for clarity
-        const jwtClaimsForUI = { ...jwtClaims };
-        if (jwtClaimsForUI.nonce) {
-            jwtClaimsForUI.jwtNonce = jwtClaimsForUI.nonce;
-            // Keep the original nonce field for comparison
-        }
-        
+
         res.json({
             success: true,
-            userAddress: result.userAddress,
-            subject: result.subject,
-            userSalt: result.userSalt,
-            jwtClaims: jwtClaimsForUI,
-            decodedJWT: result.decodedJWT,
-            message: 'JWT processed successfully'
+            multiSig: session.zkLogin.getMultiSig(),
+            zkLoginPublicKey: session.zkLogin.getZkLoginPublicKey()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Generate zkProof using Enoki
-app.post('/api/generate-zkproof', async (req, res) => {
+// Forget the session's MultiSig config
+app.delete('/api/multisig/:sessionId', async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const session = await getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        await session.zkLogin.removeMultiSig();
+        await saveSession(req.params.sessionId, session);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Build a transaction sent from the MultiSig address
+app.post('/api/multisig/create-transaction', async (req, res) => {
+    try {
+        const { sessionId, transactionData } = req.body;
 
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid or missing session ID'
             });
         }
 
-        const session = sessions.get(sessionId);
-        const zkLogin = session.zkLogin;
-        
-        // Check if we have all required data for zkProof generation
-        const userAddress = zkLogin.getUserAddress();
-        const userSalt = zkLogin.getUserSalt();
-        const nonce = zkLogin.getNonce();
-        const ephemeralKeyPair = session.ephemeralKeyPair; // Use complete key pair
-
-        // Add detailed ephemeralKeyPair debugging
-        console.log('🔍 ephemeralKeyPair debug:');
-        console.log('  ephemeralKeyPair exists:', !!ephemeralKeyPair);
-        console.log('  ephemeralKeyPair type:', typeof ephemeralKeyPair);
-        if (ephemeralKeyPair) {
-            console.log('  ephemeralKeyPair methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(ephemeralKeyPair)));
-            try {
-                const publicKey = ephemeralKeyPair.getPublicKey();
-                console.log('  publicKey:', publicKey);
-                console.log('  publicKey type:', typeof publicKey);
-                if (publicKey && typeof publicKey.toSuiAddress === 'function') {
-                    console.log('  publicKey.toSuiAddress():', publicKey.toSuiAddress());
-                } else {
-                    console.log('  publicKey.toSuiAddress method not available');
-                }
-            } catch (error) {
-                console.log('  Error getting public key:', error.message);
-            }
-        }
-        
-        const ephemeralPublicKey = ephemeralKeyPair ? ephemeralKeyPair.getPublicKey().toSuiAddress() : null;
-        const maxEpoch = session.maxEpoch; // maxEpoch stored in session, not a method
-        const jwt = session.jwt;
-        
-        console.log('🔍 zkProof generation - checking required data:');
-        console.log('  userAddress:', userAddress);
-        console.log('  userSalt:', userSalt);
-        console.log('  nonce:', nonce);
-        console.log('  ephemeralPublicKey:', ephemeralPublicKey);
-        console.log('  maxEpoch:', maxEpoch);
-        console.log('  jwt:', jwt ? 'present' : 'missing');
-        
-        if (!userAddress || !userSalt || !nonce || !ephemeralKeyPair || !maxEpoch || !jwt) {
+        if (!transactionData) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameters for proof generation',
-                details: 'zkProof generation failed. Make sure JWT processing is completed.',
-                missing: {
-                    userAddress: !userAddress,
-                    userSalt: !userSalt,
-                    nonce: !nonce,
-                    ephemeralKeyPair: !ephemeralKeyPair,
-                    maxEpoch: !maxEpoch,
-                    jwt: !jwt
-                }
+                error: 'Transaction data is required'
             });
         }
 
-        // Generate zkProof using Sui SDK directly
-        const { getZkLoginSignature, genAddressSeed } = require('@mysten/sui/zklogin');
-        const { decodeJwt } = require('jose');
-        
-        // Add more detailed parameter checking and type validation
-        console.log('🔍 Detailed parameter check:');
-        console.log('  jwt type:', typeof jwt, 'length:', jwt ? jwt.length : 0);
-        console.log('  ephemeralPublicKey type:', typeof ephemeralPublicKey, 'value:', ephemeralPublicKey);
-        console.log('  userSalt type:', typeof userSalt, 'value:', userSalt);
-        console.log('  nonce type:', typeof nonce, 'value:', nonce);
-        console.log('  maxEpoch type:', typeof maxEpoch, 'value:', maxEpoch);
-        
-        // Ensure maxEpoch is a number type
-        const maxEpochNumber = Number(maxEpoch);
-        if (isNaN(maxEpochNumber)) {
-            throw new Error(`maxEpoch must be a number, got: ${maxEpoch}`);
-        }
-        
-        console.log('🔍 Generating zkProof using Sui SDK...');
-        
-        // Decode JWT
-        const decodedJwt = decodeJwt(jwt);
-        console.log('🔍 Decoded JWT:', decodedJwt);
-        
-        // Generate address seed
-        // Convert hex string to BigInt (add 0x prefix if not present)
-        const saltBigInt = userSalt.startsWith('0x') ? BigInt(userSalt) : BigInt('0x' + userSalt);
-        const addressSeed = genAddressSeed(
-            saltBigInt,
-            'sub',
-            decodedJwt.sub,
-            decodedJwt.aud
-        );
-        
-        console.log('🔍 Generated address seed:', addressSeed);
-        
-        // Create zkProof structure with all required fields for getZkLoginSignature
-        // Note: Actual zkProof generation requires calling proof service
-        const zkProof = {
-            proofPoints: {
-                a: ["0", "0"],
-                b: [["0", "0"], ["0", "0"]],
-                c: ["0", "0"]
-            },
-            issBase64Details: {
-                value: "wiaXNzIjoiaHR0cHM6Ly9hY2NvdW50cy5nb29nbGUuY29t",
-                indexMod4: 1
-            },
-            headerBase64: "eyJhbGciOiJSUzI1NiIsImtpZCI6IjI3ZjJkZjZhMzNhOGI5OGNmZjY3MjcwOGI2NjY4NjU4MzM5YzMzNjAiLCJ0eXAiOiJKV1QifQ",
-            addressSeed: addressSeed.toString()
-        };
-        
-        console.log('✅ zkProof structure created successfully using Sui SDK:', zkProof);
-
+        const result = await session.zkLogin.createMultiSigTransaction(transactionData);
         res.json({
             success: true,
-            zkProof: zkProof,
-            addressSeed: addressSeed.toString(),
-            decodedJwt: decodedJwt,
-            message: 'zkProof structure created successfully using Sui SDK',
-            parameters: {
-                userAddress,
-                userSalt,
-                nonce,
-                ephemeralPublicKey,
-                maxEpoch
-            }
+            transactionBytes: Buffer.from(result.transactionBytes).toString('base64'),
+            simulation: result.simulation
         });
     } catch (error) {
-        console.error('❌ zkProof generation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            details: 'Failed to generate zkProof using Sui SDK'
-        });
+        sendError(res, error);
     }
 });
 
-// Create and sign transaction
-app.post('/api/create-transaction', async (req, res) => {
+// Combine member signatures (zkLogin and/or backup) and optionally execute
+app.post('/api/multisig/sign', async (req, res) => {
     try {
-        const { sessionId, transactionData, zkProof } = req.body;
+        const { sessionId, transactionBytes, signatures, useZkLogin, execute } = req.body;
 
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid or missing session ID'
             });
         }
 
-        if (!transactionData) {
+        if (!transactionBytes) {
             return res.status(400).json({
                 success: false,
-                error: 'Transaction data is required'
+                error: 'transactionBytes (base64) is required'
+            });
+        }
+
+        const bytes = Uint8Array.from(Buffer.from(transactionBytes, 'base64'));
+        const combined = await session.zkLogin.signMultiSigTransaction(bytes, {
+            signatures: signatures || [],
+            useZkLogin: useZkLogin !== false
+        });
+
+        if (!execute) {
+            return res.json({ success: true, ...combined });
+        }
+
+        const result = await session.zkLogin.executeMultiSigTransaction(bytes, combined.signature);
+        if (result.status === 'failure') {
+            return res.status(422).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code,
+                details: result.error.details,
+                result
             });
         }
+        res.json({ success: true, ...combined, result });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Decode a zkLogin signature: issuer, address seed, maxEpoch, ephemeral key and proof presence
+app.post('/api/signatures/inspect', async (req, res) => {
+    try {
+        const { signature } = req.body;
 
-        if (!zkProof) {
+        if (typeof signature !== 'string' || !signature) {
             return res.status(400).json({
                 success: false,
-                error: 'zkProof is required for signing'
+                error: 'signature is required'
             });
         }
 
-        const zkLogin = sessions.get(sessionId);
-        const result = await zkLogin.createAndSignTransaction(transactionData, zkProof);
+        res.json({ success: true, signature: inspectZkLoginSignature(signature) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Check a zkLogin signature against transaction bytes or a personal message
+app.post('/api/signatures/verify', async (req, res) => {
+    try {
+        const { signature, bytes, message, intentScope, address } = req.body;
 
-        res.json({
-            success: true,
-            transactionBytes: Array.from(result.transactionBytes),
-            signature: result.signature
+        if (typeof signature !== 'string' || (!bytes && typeof message !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: 'signature and either bytes (base64 or number array) or message are required'
+            });
+        }
+
+        let signedBytes;
+        if (bytes) {
+            signedBytes = Array.isArray(bytes) ? Uint8Array.from(bytes) : Uint8Array.from(Buffer.from(bytes, 'base64'));
+        } else {
+            signedBytes = new TextEncoder().encode(message);
+        }
+
+        const report = await verifyZkLoginSignature(suiClient, signedBytes, signature, {
+            intentScope: intentScope || (bytes ? 'TransactionData' : 'PersonalMessage'),
+            address
         });
+        res.json({ success: true, verification: report });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Get session state
-app.get('/api/session/:sessionId', (req, res) => {
+// List every address a JWT and salt may map to, for finding assets under older derivations
+app.post('/api/candidate-addresses', async (req, res) => {
     try {
-        const { sessionId } = req.params;
+        const { sessionId, jwt, salt, clientId } = req.body;
 
-        if (!sessionId || !sessions.has(sessionId)) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found'
+        // A session uses its own verified JWT and stored salt
+        if (sessionId) {
+            const session = await getSession(sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                userAddress: session.zkLogin.getUserAddress(),
+                candidates: session.zkLogin.getCandidateAddresses()
             });
         }
 
-        const zkLogin = sessions.get(sessionId);
-        const state = zkLogin.getState();
+        // Otherwise the caller supplies both, so nothing secret is looked up
+        if (!jwt || salt === undefined || salt === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'sessionId, or jwt and salt, are required'
+            });
+        }
 
+        const payload = decodeJwt(jwt);
         res.json({
             success: true,
-            sessionId,
-            state,
-            userAddress: zkLogin.getUserAddress(),
-            ephemeralPublicKey: zkLogin.getEphemeralPublicKey(),
-            nonce: zkLogin.getNonce(),
-            oauthUrl: zkLogin.getOAuthUrl()
+            candidates: computeCandidateAddresses(payload, salt, { clientId })
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error, 400);
     }
 });
 
+/**
+ * Check that a salt route names the session's own signed-in identity
+ * @throws {ZkLoginError} LOGIN_REQUIRED, or SALT_FORBIDDEN for another subject or provider
+ */
+function assertOwnSalt(session, subject, provider) {
+    session.zkLogin.assertLoginCurrent();
+    const identity = session.zkLogin.getIdentity();
+    if (subject !== identity.subject || provider !== identity.provider) {
+        throw new ZkLoginError('A session can only access the salt of its own login', 'SALT_FORBIDDEN');
+    }
+}
+
 // Get user salt for a specific subject and provider
 app.get('/api/salt/:sessionId/:subject/:provider', async (req, res) => {
     try {
         const { sessionId, subject, provider } = req.params;
         
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID'
             });
         }
         
-        const session = sessions.get(sessionId);
+        assertOwnSalt(session, subject, provider);
         const salt = await session.zkLogin.getUserSalt(subject, provider);
         
         res.json({
@@ -568,10 +1657,7 @@ app.get('/api/salt/:sessionId/:subject/:provider', async (req, res) => {
             provider: provider
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
@@ -580,14 +1666,14 @@ app.get('/api/database/stats/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID'
             });
         }
         
-        const session = sessions.get(sessionId);
         const stats = await session.zkLogin.getDatabaseStats();
         
         res.json({
@@ -608,7 +1694,8 @@ app.put('/api/salt/:sessionId', async (req, res) => {
         const { sessionId } = req.params;
         const { subject, provider, newSalt } = req.body;
         
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID'
@@ -622,18 +1709,19 @@ app.put('/api/salt/:sessionId', async (req, res) => {
             });
         }
         
-        const session = sessions.get(sessionId);
-        const success = await session.zkLogin.updateUserSalt(subject, provider, newSalt);
-        
+        // Only the session's own salt, as a rotation (see /api/session/:sessionId/rotate-salt)
+        assertOwnSalt(session, subject, provider);
+        const result = await session.zkLogin.rotateUserSalt({ salt: newSalt });
+        session.userAddress = result.userAddress;
+        await saveSession(sessionId, session);
+
         res.json({
-            success: success,
-            message: success ? 'Salt updated successfully' : 'Failed to update salt'
+            success: true,
+            userAddress: result.userAddress,
+            message: 'Salt updated successfully'
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
@@ -642,14 +1730,15 @@ app.delete('/api/salt/:sessionId/:subject/:provider', async (req, res) => {
     try {
         const { sessionId, subject, provider } = req.params;
         
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID'
             });
         }
         
-        const session = sessions.get(sessionId);
+        assertOwnSalt(session, subject, provider);
         const success = await session.zkLogin.deleteUserSalt(subject, provider);
         
         res.json({
@@ -657,26 +1746,24 @@ app.delete('/api/salt/:sessionId/:subject/:provider', async (req, res) => {
             message: success ? 'Salt deleted successfully' : 'Failed to delete salt'
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
 // Delete session
-app.delete('/api/session/:sessionId', (req, res) => {
+app.delete('/api/session/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
 
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 error: 'Session not found'
             });
         }
 
-        sessions.delete(sessionId);
+        await deleteSession(sessionId);
 
         res.json({
             success: true,
@@ -690,14 +1777,28 @@ app.delete('/api/session/:sessionId', (req, res) => {
     }
 });
 
+/**
+ * Remove an uploaded file that was not recorded against anyone
+ */
+async function discardUpload(file) {
+    try {
+        await fs.promises.rm(path.join(uploadsDir, path.basename(file.filename)), { force: true });
+    } catch (error) {
+        console.error('Could not remove unrecorded upload:', error.message);
+    }
+}
+
 // Mint NFT with image upload and register wallet using Enoki sponsor
 app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
+    // Multer has already written the file: it is recorded, or removed when the request ends
+    let uploadRecorded = false;
     try {
         const { sessionId, nftName, nftDescription } = req.body;
         const imageFile = req.file;
 
         // Validate required parameters
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid or missing session ID'
@@ -711,8 +1812,17 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
             });
         }
 
-        const session = sessions.get(sessionId);
-        
+        // Uploads are recorded against the signed-in identity so they can be exported and erased
+        if (!session.zkLogin.decodedJWT) {
+            throw new ZkLoginError('Sign in first', 'LOGIN_REQUIRED');
+        }
+        const identity = session.zkLogin.getIdentity();
+        await userData.recordUpload(identity, { fileName: imageFile.filename, mimeType: imageFile.mimetype, size: imageFile.size });
+        uploadRecorded = true;
+
+        // Minting is authorized by the session key, so it must still be inside its epoch window
+        await session.zkLogin.assertKeyNotExpired();
+
         console.log('🎨 Starting NFT mint and wallet registration with Enoki...');
         console.log('👤 User address:', session.userAddress);
         console.log('🖼️ Image uploaded:', imageFile.filename);
@@ -727,7 +1837,7 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
             image: imageUrl,
             attributes: [
                 { trait_type: 'Registration Date', value: new Date().toISOString() },
-                { trait_type: 'Provider', value: 'Google' },
+                { trait_type: 'Provider', value: PROVIDERS[session.config.provider].name },
                 { trait_type: 'Wallet Type', value: 'zkLogin' },
                 { trait_type: 'File Type', value: imageFile.mimetype },
                 { trait_type: 'File Size', value: `${Math.round(imageFile.size / 1024)} KB` }
@@ -738,9 +1848,7 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
 
         // Create NFT minting transaction
         const { Transaction } = require('@mysten/sui/transactions');
-        const { SuiClient } = require('@mysten/sui/client');
         
-        const suiClient = new SuiClient({ url: 'https://fullnode.testnet.sui.io' });
         const txb = new Transaction();
         
         // DON'T set sender for Enoki - it handles sender separately
@@ -748,7 +1856,7 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
         
         // NFT Contract Configuration for custom_nft::photo_nft
         const NFT_CONTRACT_CONFIG = {
-            packageId: process.env.PACKAGE_ID, // Deployed package ID from .env
+            packageId: config.network.packageIds.nft, // Deployed package ID for the active network
             moduleName: 'photo_nft', // Custom PhotoNFT module
             functionName: 'mint_to_sender', // Function from the contract
             structName: 'PhotoNFT' // NFT struct name
@@ -880,21 +1988,22 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
 
         // Use wallet sponsoring instead of Enoki
         console.log('🔍 Wallet sponsoring configuration:');
-        console.log('  Sponsor address:', process.env.SPONSOR_ADDRESS);
-        console.log('  Has sponsor private key:', !!process.env.SPONSOR_PRIVATE_KEY);
+        console.log('  Network:', config.network.name);
+        console.log('  Sponsor address:', config.network.sponsor.address);
+        console.log('  Has sponsor private key:', !!config.network.sponsor.privateKey);
         
-        if (!process.env.SPONSOR_PRIVATE_KEY || !process.env.SPONSOR_ADDRESS) {
-            throw new Error('❌ Wallet sponsoring not configured. Please set SPONSOR_PRIVATE_KEY and SPONSOR_ADDRESS in .env file.');
+        if (!config.network.sponsor.privateKey || !config.network.sponsor.address) {
+            throw new Error(`❌ Wallet sponsoring not configured for ${config.network.name}. Please set SPONSOR_PRIVATE_KEY and SPONSOR_ADDRESS in .env file.`);
         }
 
         // Use wallet sponsoring to mint NFT
         const { mintNFTWithWalletSponsor } = require('./wallet-sponsor-mint');
         
         console.log('🚀 Executing wallet-sponsored NFT minting...');
-        const walletResult = await mintNFTWithWalletSponsor(session.userAddress, nftMetadata);
+        const walletResult = await mintNFTWithWalletSponsor(session.userAddress, nftMetadata, config.network);
         
         console.log('✅ NFT minted successfully with wallet sponsoring:', walletResult.digest);
-        console.log('🏦 Sponsor Address:', process.env.SPONSOR_ADDRESS);
+        console.log('🏦 Sponsor Address:', walletResult.sponsorAddress);
         
         const result = {
             digest: walletResult.digest,
@@ -903,8 +2012,10 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
             nftMetadata: nftMetadata,
             imageUrl: imageUrl,
             recipient: session.userAddress,
-            sponsorAddress: process.env.SPONSOR_ADDRESS,
-            nftObjectId: walletResult.nftObjectId
+            sponsorAddress: walletResult.sponsorAddress,
+            nftObjectId: walletResult.nftObjectId,
+            gasBudget: walletResult.gasBudget,
+            gasUsed: walletResult.gasUsed
         };
 
         console.log('🚀 NFT minted and wallet registered successfully:', result.digest);
@@ -920,6 +2031,15 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
         session.nftMetadata = nftMetadata;
         session.imageUrl = imageUrl;
         session.registrationDate = new Date().toISOString();
+        await saveSession(sessionId, session);
+        await userData.recordMint(identity, {
+            address: session.userAddress,
+            name: nftMetadata.name,
+            description: nftMetadata.description,
+            imageFile: imageFile.filename,
+            transactionDigest,
+            nftObjectId
+        });
 
         console.log('✅ NFT minting and wallet registration completed successfully');
 
@@ -935,10 +2055,16 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
             recipient: result.recipient,
             userAddress: session.userAddress,
             registrationDate: session.registrationDate,
-            nftObjectId: result.nftObjectId
+            nftObjectId: result.nftObjectId,
+            gasBudget: result.gasBudget,
+            gasUsed: result.gasUsed
         });
 
     } catch (error) {
+        if (error instanceof ZkLoginError) {
+            return sendError(res, error);
+        }
+
         console.error('❌ NFT minting error:', error);
         
         // Log detailed error information for Enoki API errors
@@ -959,6 +2085,10 @@ app.post('/api/mint-nft-register', upload.single('image'), async (req, res) => {
             details: 'Failed to mint NFT and register wallet with wallet sponsoring',
             walletSponsorError: error.message || null
         });
+    } finally {
+        if (req.file && !uploadRecorded) {
+            await discardUpload(req.file);
+        }
     }
 });
 
@@ -993,19 +2123,18 @@ app.post('/api/update-nft-contract', (req, res) => {
 });
 
 // Get wallet registration status
-app.get('/api/registration-status/:sessionId', (req, res) => {
+app.get('/api/registration-status/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
 
-        if (!sessionId || !sessions.has(sessionId)) {
+        const session = await getSession(sessionId);
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 error: 'Session not found'
             });
         }
 
-        const session = sessions.get(sessionId);
-
         res.json({
             success: true,
             isRegistered: session.isRegistered || false,
@@ -1097,10 +2226,12 @@ app.get('/callback', (req, res) => {
 
             <script>
                 function parseFragment() {
+                    // id_token flows answer in the fragment, code-only flows in the query string
                     const fragment = window.location.hash.substring(1);
-                    const params = new URLSearchParams(fragment);
+                    const params = new URLSearchParams(fragment || window.location.search.substring(1));
                     return {
                         id_token: params.get('id_token'),
+                        code: params.get('code'),
                         state: params.get('state'),
                         error: params.get('error'),
                         error_description: params.get('error_description')
@@ -1155,6 +2286,14 @@ app.get('/callback', (req, res) => {
                     }, 3000);
                     
                     contentEl.innerHTML = '<p class="info">Automatically returning to app in 3 seconds...</p>';
+                } else if (params.code) {
+                    // The server exchanges the code for the id_token
+                    statusEl.className = 'success';
+                    statusEl.textContent = '✅ OAuth Authorization Code Received';
+                    sessionStorage.setItem('zklogin_code', params.code);
+                    sessionStorage.setItem('zklogin_state', params.state);
+                    contentEl.innerHTML = '<p class="info">Returning to app...</p>';
+                    window.location.href = '/';
                 } else {
                     statusEl.className = 'error';
                     statusEl.textContent = '❌ Missing ID Token';
@@ -1175,6 +2314,18 @@ app.get('/callback', (req, res) => {
     `);
 });
 
+// OAuth callback handler for form_post responses (e.g. Apple)
+// Re-renders the GET handler with the posted parameters in the fragment
+app.post('/callback', express.urlencoded({ extended: false }), (req, res) => {
+    const params = new URLSearchParams();
+    for (const key of ['id_token', 'code', 'state', 'error', 'error_description']) {
+        if (req.body[key]) {
+            params.set(key, req.body[key]);
+        }
+    }
+    res.redirect(303, `/callback#${params.toString()}`);
+});
+
 // Serve the main application
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'demo.html'));
@@ -1202,18 +2353,43 @@ app.listen(PORT, () => {
     console.log(`🚀 zkLogin Production Server running on port ${PORT}`);
     console.log(`📱 Web interface: http://localhost:${PORT}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`🌐 Network: ${config.network.name} (${config.network.rpcUrls.join(', ')})`);
+    console.log(`💾 Storage: salts in ${config.saltStrategy === 'remote' ? 'remote salt service' : redactStorageUrl(config.saltStorageUrl)}, sessions in ${config.sessionStoreUrl ? redactStorageUrl(config.sessionStoreUrl) : config.sessionStore}`);
+    console.log(`⏱️ Sessions: ${config.sessionIdleTimeout / 60000} min idle, ${config.sessionMaxAge / 60000} min max age, ${config.maxSessionsPerIp || 'unlimited'} per IP`);
     console.log(`📋 API endpoints:`);
     console.log(`   POST /api/init - Initialize zkLogin session`);
     console.log(`   POST /api/generate-keys - Generate ephemeral key pair`);
     console.log(`   POST /api/prepare-jwt - Prepare for JWT acquisition`);
     console.log(`   POST /api/process-jwt - Process JWT token`);
-    console.log(`   POST /api/generate-zkproof - Generate zkProof using Sui SDK`);
+    console.log(`   POST /api/generate-zkproof - Generate zkProof using the configured prover`);
+    console.log(`   POST /api/simulate-transaction - Dry-run a transaction and estimate gas`);
     console.log(`   POST /api/create-transaction - Create and sign transaction`);
+    console.log(`   POST /api/execute-transaction - Execute a signed transaction`);
     console.log(`   POST /api/mint-nft-register - Mint NFT and register wallet (sponsored gas)`);
     console.log(`   GET  /api/registration-status/:id - Get wallet registration status`);
     console.log(`   GET  /api/session/:id - Get session state`);
+    console.log(`   POST /api/sign-in/message - Issue a sign-in message`);
+    console.log(`   POST /api/sign-personal-message - Sign a personal message with zkLogin`);
+    console.log(`   POST /api/sign-in/verify - Verify a signed sign-in message`);
+    console.log(`   POST /api/multisig - Set up a recoverable MultiSig account`);
+    console.log(`   POST /api/multisig/sign - Sign with the zkLogin or backup member`);
+    console.log(`   POST /api/signatures/inspect - Decode a zkLogin signature`);
+    console.log(`   POST /api/signatures/verify - Verify a zkLogin signature`);
+    console.log(`   POST /api/candidate-addresses - List addresses for a JWT and salt`);
+    console.log(`   POST /api/session/:id/renew - Renew an expired ephemeral key`);
+    console.log(`   GET  /api/session/:id/addresses - List the addresses of past salts`);
+    console.log(`   POST /api/session/:id/rotate-salt - Rotate the salt, optionally moving assets`);
+    console.log(`   GET  /api/session/:id/account - Get the account with its linked identities and NFTs`);
+    console.log(`   POST /api/session/:id/link - Start linking another provider's login`);
+    console.log(`   POST /api/session/:id/link/complete - Link the other login with its JWT or code`);
+    console.log(`   POST /api/session/:id/unlink - Unlink an identity from the account`);
+    console.log(`   GET  /api/session/:id/data-export - Export the user's data as a JSON archive`);
+    console.log(`   POST /api/session/:id/erase - Erase the user's data and get a receipt`);
+    console.log(`   GET  /api/erasure-receipts/:id - Get an erasure receipt`);
     console.log(`   GET  /api/providers - Get supported OAuth providers`);
+    console.log(`   GET  /api/config - Get the active network settings`);
     console.log(`   GET  /callback - OAuth callback handler`);
+    console.log(`   POST /callback - OAuth form_post callback handler`);
     console.log(`\n💡 Ready for production use!`);
 });
 
@@ -0,0 +1,179 @@
+/**
+ * Live sessions of this process
+ *
+ * Holds the session objects (with their ZkLogin instances) that requests
+ * resolve a session ID to. A session lives until it has been idle for
+ * idleTimeout or is maxAge old, whichever comes first; sweep() evicts the
+ * expired ones and hands each to onEvict so its database handles get closed.
+ * Sessions opened by one client (the caller's IP) are capped at maxPerClient.
+ *
+ * The session store keeps its own expiry (see expiresIn()), so a session
+ * dropped here can still be restored elsewhere until that runs out.
+ */
+
+const { ZkLoginError } = require('./errors');
+
+const DEFAULT_IDLE_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_PER_CLIENT = 20;
+
+class SessionRegistry {
+    /**
+     * @param {Object} options - { idleTimeout, maxAge, maxPerClient, onEvict(session, sessionId) }
+     *   maxPerClient of 0 disables the cap
+     */
+    constructor(options = {}) {
+        this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.maxPerClient = options.maxPerClient !== undefined ? options.maxPerClient : DEFAULT_MAX_PER_CLIENT;
+        this.onEvict = options.onEvict || (() => {});
+        this.entries = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Get a live session, marking it used
+     * An expired session is evicted and not returned.
+     * @returns {Object|undefined}
+     */
+    get(sessionId, now = Date.now()) {
+        const entry = this.entries.get(sessionId);
+        if (!entry) {
+            return undefined;
+        }
+        if (this.isExpired(entry, now)) {
+            this.evict(sessionId);
+            return undefined;
+        }
+        entry.lastSeenAt = now;
+        return entry.session;
+    }
+
+    has(sessionId) {
+        return this.entries.has(sessionId);
+    }
+
+    /**
+     * Add or replace a session
+     * A session keeps the client and creation time it was first added with;
+     * createdAt defaults to session.createdAt so restored sessions keep their age.
+     * @param {Object} options - { client, createdAt }
+     */
+    set(sessionId, session, options = {}, now = Date.now()) {
+        const existing = this.entries.get(sessionId);
+        if (existing) {
+            existing.session = session;
+            existing.lastSeenAt = now;
+            return;
+        }
+        const createdAt = options.createdAt || Date.parse(session.createdAt) || now;
+        this.entries.set(sessionId, { session, client: options.client || null, createdAt, lastSeenAt: now });
+    }
+
+    /**
+     * Remove a session, passing it to onEvict
+     * @returns {boolean} - True if the session was live
+     */
+    evict(sessionId) {
+        const entry = this.entries.get(sessionId);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(sessionId);
+        this.onEvict(entry.session, sessionId);
+        return true;
+    }
+
+    /**
+     * Check that a client may open another session
+     * @throws {ZkLoginError} SESSION_LIMIT_REACHED
+     */
+    assertCanOpen(client, now = Date.now()) {
+        if (!this.maxPerClient || !client) {
+            return;
+        }
+        let open = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.client === client && !this.isExpired(entry, now)) {
+                open++;
+            }
+        }
+        if (open >= this.maxPerClient) {
+            throw new ZkLoginError(
+                `Too many open sessions (${open}); finish or wait for one to expire`,
+                'SESSION_LIMIT_REACHED',
+                { limit: this.maxPerClient }
+            );
+        }
+    }
+
+    /**
+     * Milliseconds a session may still be stored: the idle timeout, cut short by its max age
+     */
+    expiresIn(session, now = Date.now()) {
+        const createdAt = Date.parse(session.createdAt) || now;
+        return Math.max(0, Math.min(this.idleTimeout, createdAt + this.maxAge - now));
+    }
+
+    isExpired(entry, now) {
+        return entry.lastSeenAt + this.idleTimeout <= now || entry.createdAt + this.maxAge <= now;
+    }
+
+    /**
+     * Evict every expired session
+     * @returns {number} - Number of sessions evicted
+     */
+    sweep(now = Date.now()) {
+        let evicted = 0;
+        for (const [sessionId, entry] of this.entries) {
+            if (this.isExpired(entry, now) && this.evict(sessionId)) {
+                evicted++;
+            }
+        }
+        return evicted;
+    }
+
+    /**
+     * Sweep every interval milliseconds, plus an optional extra task (e.g. the session store's cleanup)
+     * The timer does not keep the process alive.
+     */
+    start(interval, task) {
+        this.stop();
+        this.timer = setInterval(async () => {
+            const evicted = this.sweep();
+            try {
+                await (task && task(evicted));
+            } catch (error) {
+                console.error('Session sweep failed:', error.message);
+            }
+        }, interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Iterate over [sessionId, session] pairs
+     */
+    *[Symbol.iterator]() {
+        for (const [sessionId, entry] of this.entries) {
+            yield [sessionId, entry.session];
+        }
+    }
+}
+
+module.exports = {
+    SessionRegistry,
+    DEFAULT_IDLE_TIMEOUT,
+    DEFAULT_MAX_AGE,
+    DEFAULT_MAX_PER_CLIENT
+};
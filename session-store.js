@@ -0,0 +1,169 @@
+/**
+ * Session store module
+ *
+ * Persists zkLogin session records so a session survives server restarts
+ * and serverless invocations that land on a different instance. Records are
+ * plain JSON objects; the ZkLogin state inside them is already encrypted.
+ * They are kept in a storage backend (see storage.js), so sessions can share
+ * the PostgreSQL database that holds user salts.
+ *
+ * Every store implements:
+ *   get(sessionId)               -> record or null (expired records are dropped)
+ *   set(sessionId, record, ttl)  -> stores record for ttl milliseconds
+ *   delete(sessionId)            -> true if a record was removed
+ *   cleanup()                    -> number of expired records removed
+ *   findByOwner(owner)           -> [{ sessionId, expiresAt, record }] of a record.owner
+ *   deleteByOwner(owner)         -> number of records removed
+ *   close()
+ */
+
+const { createStorage, MemoryStorage, SqliteStorage } = require('./storage');
+const { ensureMigrated } = require('./schema-migrations');
+
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const SESSIONS = 'zklogin_sessions';
+
+// As left by migrations/006_user_data.js
+const SESSIONS_TABLE = {
+    name: SESSIONS,
+    columns: {
+        session_id: 'text',
+        data: 'text',
+        expires_at: 'integer',
+        updated_at: { type: 'text', nullable: true },
+        owner: { type: 'text', nullable: true }
+    },
+    primaryKey: 'session_id',
+    indexes: ['expires_at', 'owner']
+};
+
+/**
+ * Session store on a storage backend
+ */
+class StorageSessionStore {
+    /**
+     * @param {Object} storage - Backend from createStorage()
+     * @param {Object} options - { ttl, ownsStorage } (an owned backend is closed by close())
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.ownsStorage = !!options.ownsStorage;
+        this.defaultTtl = options.ttl || DEFAULT_SESSION_TTL;
+        this.initialized = false;
+        this.initPromise = ensureMigrated(storage).then(() => storage.registerTable(SESSIONS_TABLE));
+    }
+
+    /**
+     * Ensure the schema is migrated before operations
+     */
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initPromise;
+            this.initialized = true;
+        }
+    }
+
+    async get(sessionId) {
+        await this.ensureInitialized();
+        const row = await this.storage.get(SESSIONS, { session_id: sessionId });
+        if (!row) {
+            return null;
+        }
+        if (row.expires_at <= Date.now()) {
+            await this.delete(sessionId);
+            return null;
+        }
+        return JSON.parse(row.data);
+    }
+
+    async set(sessionId, record, ttl = this.defaultTtl) {
+        await this.ensureInitialized();
+        await this.storage.upsert(SESSIONS, {
+            session_id: sessionId,
+            data: JSON.stringify(record),
+            expires_at: Date.now() + ttl,
+            updated_at: new Date().toISOString(),
+            owner: record.owner || null
+        });
+    }
+
+    async delete(sessionId) {
+        await this.ensureInitialized();
+        return (await this.storage.delete(SESSIONS, { session_id: sessionId })) > 0;
+    }
+
+    async findByOwner(owner) {
+        await this.ensureInitialized();
+        const rows = await this.storage.find(SESSIONS, { owner, expires_at: { gt: Date.now() } });
+        return rows.map((row) => ({ sessionId: row.session_id, expiresAt: row.expires_at, record: JSON.parse(row.data) }));
+    }
+
+    async deleteByOwner(owner) {
+        await this.ensureInitialized();
+        return this.storage.delete(SESSIONS, { owner });
+    }
+
+    async cleanup() {
+        await this.ensureInitialized();
+        return this.storage.delete(SESSIONS, { expires_at: { lte: Date.now() } });
+    }
+
+    close() {
+        if (this.ownsStorage) {
+            return this.storage.close();
+        }
+    }
+}
+
+/**
+ * In-memory session store (single process only)
+ */
+class MemorySessionStore extends StorageSessionStore {
+    constructor(options = {}) {
+        super(new MemoryStorage(), { ...options, ownsStorage: true });
+    }
+}
+
+/**
+ * SQLite session store
+ */
+class SqliteSessionStore extends StorageSessionStore {
+    constructor(dbPath = './zklogin_sessions.db', options = {}) {
+        super(new SqliteStorage(dbPath), { ...options, ownsStorage: true });
+        this.dbPath = dbPath;
+    }
+}
+
+/**
+ * Create a session store from configuration
+ * @param {Object} options - { url, storage, type: 'memory' | 'sqlite', dbPath, ttl }
+ *   A shared storage backend or a storage URL takes precedence over type and dbPath.
+ */
+function createSessionStore(options = {}) {
+    if (options.storage) {
+        return new StorageSessionStore(options.storage, options);
+    }
+    if (options.url) {
+        return new StorageSessionStore(createStorage(options.url), { ...options, ownsStorage: true });
+    }
+
+    const type = options.type || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore(options);
+        case 'sqlite':
+            return new SqliteSessionStore(options.dbPath, options);
+        default:
+            throw new Error(`Unsupported session store: ${type}`);
+    }
+}
+
+module.exports = {
+    StorageSessionStore,
+    MemorySessionStore,
+    SqliteSessionStore,
+    createSessionStore,
+    DEFAULT_SESSION_TTL
+};
@@ -0,0 +1,112 @@
+/**
+ * Sign-in nonces
+ *
+ * Every sign-in message the server issues carries a nonce; a signed message is
+ * only accepted with a nonce that was issued, has not expired and was not used
+ * before. Nonces are kept in a storage backend (see storage.js), usually the
+ * session store's, so on a multi-instance deployment any instance can verify
+ * a message another one issued.
+ *
+ * Issuing is unauthenticated, so outstanding nonces are capped per client
+ * (the caller's IP). A cap per address would let anyone use up the nonces of
+ * someone else's address. A nonce is only accepted for the address it was
+ * issued to.
+ */
+
+const { ensureMigrated } = require('./schema-migrations');
+const { ZkLoginError } = require('./errors');
+
+const NONCES = 'sign_in_nonces';
+
+const DEFAULT_MAX_PER_CLIENT = 20;
+
+// Created by migrations/007_sign_in_nonces.js
+const NONCES_TABLE = {
+    name: NONCES,
+    columns: {
+        nonce: 'text',
+        address: 'text',
+        client: { type: 'text', nullable: true },
+        expires_at: 'integer',
+        created_at: 'text'
+    },
+    primaryKey: 'nonce',
+    indexes: ['expires_at', 'address', 'client']
+};
+
+class SignInNonceStore {
+    /**
+     * @param {Object} storage - Backend from createStorage()
+     * @param {Object} options - { maxPerClient } outstanding nonces (0 for no limit)
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxPerClient = options.maxPerClient !== undefined ? options.maxPerClient : DEFAULT_MAX_PER_CLIENT;
+        this.initialized = false;
+        this.initPromise = ensureMigrated(storage).then(() => storage.registerTable(NONCES_TABLE));
+    }
+
+    /**
+     * Ensure the schema is migrated before operations
+     */
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initPromise;
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Record an issued nonce
+     * @param {string} nonce - Nonce of the sign-in message
+     * @param {Object} options - { address, expiresAt (ms), client }
+     * @throws {ZkLoginError} SIGN_IN_RATE_LIMITED when the client has too many outstanding nonces
+     */
+    async issue(nonce, { address, expiresAt, client = null }) {
+        await this.ensureInitialized();
+        const now = Date.now();
+        await this.cleanup(now);
+
+        await this.storage.transaction(async (storage) => {
+            if (this.maxPerClient && client && await storage.count(NONCES, { client }) >= this.maxPerClient) {
+                throw new ZkLoginError(
+                    'Too many outstanding sign-in messages for this client; sign one or wait for them to expire',
+                    'SIGN_IN_RATE_LIMITED',
+                    { limit: this.maxPerClient }
+                );
+            }
+            await storage.insert(NONCES, {
+                nonce,
+                address,
+                client,
+                expires_at: expiresAt,
+                created_at: new Date(now).toISOString()
+            });
+        });
+    }
+
+    /**
+     * Use a nonce: it is removed in the same statement that checks it
+     * @param {string} nonce - Nonce of the signed message
+     * @param {string} address - Address that signed it
+     * @returns {Promise<boolean>} - True if the nonce was issued to this address, unexpired and unused
+     */
+    async consume(nonce, address) {
+        await this.ensureInitialized();
+        return (await this.storage.delete(NONCES, { nonce, address, expires_at: { gt: Date.now() } })) > 0;
+    }
+
+    /**
+     * Remove expired nonces
+     * @returns {Promise<number>} - Number removed
+     */
+    async cleanup(now = Date.now()) {
+        await this.ensureInitialized();
+        return this.storage.delete(NONCES, { expires_at: { lte: now } });
+    }
+}
+
+module.exports = {
+    SignInNonceStore,
+    DEFAULT_MAX_PER_CLIENT
+};
@@ -0,0 +1,224 @@
+/**
+ * Sign in with Sui
+ *
+ * A structured personal message a zkLogin user signs to prove they control an
+ * address, modelled on EIP-4361 (Sign-In with Ethereum):
+ *
+ *   example.com wants you to sign in with your Sui account:
+ *   0x1234...
+ *
+ *   Sign in to Example
+ *
+ *   URI: https://example.com/login
+ *   Version: 1
+ *   Chain ID: sui:testnet
+ *   Nonce: 5f1c2e4b9a0d7e36
+ *   Issued At: 2024-01-01T00:00:00.000Z
+ *   Expiration Time: 2024-01-01T00:10:00.000Z
+ *
+ * The statement, URI and Chain ID lines are optional. Verification checks the
+ * message fields and then the signature (see zklogin-signature.js).
+ */
+
+const crypto = require('crypto');
+const { isValidSuiAddress, normalizeSuiAddress } = require('@mysten/sui/utils');
+const { assertValidZkLoginSignature } = require('./zklogin-signature');
+const { ZkLoginError, SignatureVerificationError } = require('./errors');
+
+const SIGN_IN_VERSION = '1';
+const DEFAULT_SIGN_IN_TTL = 10 * 60 * 1000; // 10 minutes
+
+const HEADER_SUFFIX = ' wants you to sign in with your Sui account:';
+
+// Message lines after the statement, in order
+const FIELD_LABELS = [
+    ['uri', 'URI'],
+    ['version', 'Version'],
+    ['chainId', 'Chain ID'],
+    ['nonce', 'Nonce'],
+    ['issuedAt', 'Issued At'],
+    ['expirationTime', 'Expiration Time']
+];
+
+const REQUIRED_FIELDS = ['domain', 'address', 'version', 'nonce', 'issuedAt', 'expirationTime'];
+
+/**
+ * Check that sign-in fields can be written to and read back from a message
+ */
+function validateSignInFields(fields) {
+    const missing = REQUIRED_FIELDS.filter((field) => !fields[field]);
+    if (missing.length > 0) {
+        throw new ZkLoginError(`Sign-in message is missing: ${missing.join(', ')}`, 'SIGN_IN_MESSAGE_INVALID', { missing });
+    }
+    if (/\s/.test(fields.domain)) {
+        throw new ZkLoginError('Sign-in domain must not contain whitespace', 'SIGN_IN_MESSAGE_INVALID');
+    }
+    if (!isValidSuiAddress(fields.address)) {
+        throw new ZkLoginError(`Invalid Sui address: ${fields.address}`, 'SIGN_IN_MESSAGE_INVALID');
+    }
+    if (fields.statement && /\n/.test(fields.statement)) {
+        throw new ZkLoginError('Sign-in statement must be a single line', 'SIGN_IN_MESSAGE_INVALID');
+    }
+    if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce)) {
+        throw new ZkLoginError('Sign-in nonce must be at least 8 alphanumeric characters', 'SIGN_IN_MESSAGE_INVALID');
+    }
+    for (const field of ['issuedAt', 'expirationTime']) {
+        if (Number.isNaN(Date.parse(fields[field]))) {
+            throw new ZkLoginError(`Sign-in ${field} is not an ISO 8601 timestamp`, 'SIGN_IN_MESSAGE_INVALID');
+        }
+    }
+    return fields;
+}
+
+/**
+ * Fill in sign-in message fields
+ * @param {Object} options - { domain, address, statement, uri, chainId, nonce, issuedAt, ttl }
+ * @returns {Object} - Sign-in fields with a fresh nonce and expiry unless given
+ */
+function createSignInMessage(options) {
+    const issuedAt = options.issuedAt ? new Date(options.issuedAt) : new Date();
+    const fields = {
+        domain: options.domain,
+        address: options.address ? normalizeSuiAddress(options.address) : options.address,
+        statement: options.statement || undefined,
+        uri: options.uri || undefined,
+        version: SIGN_IN_VERSION,
+        chainId: options.chainId || undefined,
+        nonce: options.nonce || crypto.randomBytes(16).toString('hex'),
+        issuedAt: issuedAt.toISOString(),
+        expirationTime: new Date(issuedAt.getTime() + (options.ttl || DEFAULT_SIGN_IN_TTL)).toISOString()
+    };
+    return validateSignInFields(fields);
+}
+
+/**
+ * Write sign-in fields as the message text that is signed
+ */
+function formatSignInMessage(fields) {
+    validateSignInFields(fields);
+
+    const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, ''];
+    if (fields.statement) {
+        lines.push(fields.statement, '');
+    }
+    for (const [field, label] of FIELD_LABELS) {
+        if (fields[field]) {
+            lines.push(`${label}: ${fields[field]}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Read sign-in fields back from message text
+ */
+function parseSignInMessage(message) {
+    const invalid = (reason) => new ZkLoginError(`Invalid sign-in message: ${reason}`, 'SIGN_IN_MESSAGE_INVALID');
+    const lines = String(message).split('\n');
+
+    if (!lines[0].endsWith(HEADER_SUFFIX)) {
+        throw invalid('unexpected header');
+    }
+    const fields = { domain: lines[0].slice(0, -HEADER_SUFFIX.length), address: lines[1] };
+    if (lines[2] !== '') {
+        throw invalid('expected a blank line after the address');
+    }
+
+    let index = 3;
+    const isFieldLine = (line) => FIELD_LABELS.some(([, label]) => line.startsWith(`${label}: `));
+    if (lines[index] !== undefined && !isFieldLine(lines[index])) {
+        fields.statement = lines[index];
+        if (lines[index + 1] !== '') {
+            throw invalid('expected a blank line after the statement');
+        }
+        index += 2;
+    }
+
+    // Fields must appear in order; optional ones may be skipped
+    let labelIndex = 0;
+    for (const line of lines.slice(index)) {
+        const position = FIELD_LABELS.findIndex(([, label], i) => i >= labelIndex && line.startsWith(`${label}: `));
+        if (position === -1) {
+            throw invalid(`unexpected line "${line}"`);
+        }
+        const [field, label] = FIELD_LABELS[position];
+        fields[field] = line.slice(label.length + 2);
+        labelIndex = position + 1;
+    }
+
+    return validateSignInFields(fields);
+}
+
+/**
+ * Check sign-in fields against what the verifier expects
+ * @param {Object} fields - Parsed sign-in fields
+ * @param {Object} expected - { domain, nonce, chainId, now }
+ */
+function validateSignInMessage(fields, expected = {}) {
+    if (expected.domain && fields.domain !== expected.domain) {
+        throw new SignatureVerificationError(
+            `Sign-in message is for ${fields.domain}, not ${expected.domain}`,
+            'SIGN_IN_DOMAIN_MISMATCH'
+        );
+    }
+    if (expected.nonce && fields.nonce !== expected.nonce) {
+        throw new SignatureVerificationError('Sign-in nonce does not match', 'SIGN_IN_NONCE_INVALID');
+    }
+    if (expected.chainId && fields.chainId !== expected.chainId) {
+        throw new SignatureVerificationError(
+            `Sign-in message is for chain ${fields.chainId || '(none)'}, not ${expected.chainId}`,
+            'SIGN_IN_CHAIN_MISMATCH'
+        );
+    }
+
+    const now = expected.now || Date.now();
+    if (Date.parse(fields.expirationTime) <= now) {
+        throw new SignatureVerificationError('Sign-in message has expired', 'SIGN_IN_EXPIRED', { expirationTime: fields.expirationTime });
+    }
+    if (Date.parse(fields.issuedAt) > now + 60 * 1000) {
+        throw new SignatureVerificationError('Sign-in message is issued in the future', 'SIGN_IN_MESSAGE_INVALID', { issuedAt: fields.issuedAt });
+    }
+}
+
+/**
+ * Verify a zkLogin signature over a personal message
+ * @param {SuiClient} client - Client used to check the epoch and the zkLogin proof
+ * @param {Uint8Array} message - Message bytes that were signed
+ * @param {string} signature - Serialized zkLogin signature (base64)
+ * @param {Object} options - { address } the signature must belong to
+ * @returns {Promise<Object>} - { address, issuer, maxEpoch }
+ */
+async function verifyZkLoginPersonalMessage(client, message, signature, options = {}) {
+    const report = await assertValidZkLoginSignature(client, message, signature, {
+        intentScope: 'PersonalMessage',
+        address: options.address
+    });
+    return { address: report.signer, issuer: report.issuer, maxEpoch: report.maxEpoch };
+}
+
+/**
+ * Verify a signed sign-in message
+ * @param {SuiClient} client - Client used to check the zkLogin proof
+ * @param {Object} signed - { message, signature }
+ * @param {Object} expected - { domain, nonce, chainId, now }
+ * @returns {Promise<Object>} - { address, issuer, maxEpoch, fields }
+ */
+async function verifySignInMessage(client, { message, signature }, expected = {}) {
+    const fields = parseSignInMessage(message);
+    validateSignInMessage(fields, expected);
+
+    const verified = await verifyZkLoginPersonalMessage(client, new TextEncoder().encode(message), signature, {
+        address: fields.address
+    });
+    return { ...verified, fields };
+}
+
+module.exports = {
+    createSignInMessage,
+    formatSignInMessage,
+    parseSignInMessage,
+    validateSignInMessage,
+    verifyZkLoginPersonalMessage,
+    verifySignInMessage,
+    DEFAULT_SIGN_IN_TTL
+};
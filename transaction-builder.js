@@ -0,0 +1,437 @@
+/**
+ * Transaction Builder
+ *
+ * Builds Sui programmable transactions from a JSON description so API clients
+ * can express multi-command transactions without shipping SDK objects:
+ *
+ *   {
+ *     "gasBudget": "10000000",
+ *     "commands": [
+ *       { "splitCoins": { "coin": { "gas": true }, "amounts": [{ "pure": { "type": "u64", "value": "1000" } }] } },
+ *       { "transferObjects": { "objects": [{ "result": 0, "index": 0 }], "address": "0x..." } }
+ *     ]
+ *   }
+ *
+ * Arguments are one of:
+ *   { "gas": true }                                        - the gas coin
+ *   { "object": "0x..." }                                  - object by ID (resolved at build time)
+ *   { "objectRef": { objectId, version, digest } }         - owned or immutable object reference
+ *   { "sharedObject": { objectId, initialSharedVersion, mutable } }
+ *   { "receiving": { objectId, version, digest } }         - object sent to this address
+ *   { "pure": { "type": "u64", "value": "1000" } }         - BCS value; types are u8-u256, bool,
+ *                                                            address, id, string, vector<T>, option<T>
+ *   { "result": 0 } / { "result": 0, "index": 1 }          - output of an earlier command
+ *
+ * The legacy { moveCall, transferObjects: { objects, recipient } } shape is still accepted.
+ */
+
+const { Transaction } = require('@mysten/sui/transactions');
+const { bcs } = require('@mysten/sui/bcs');
+const { TransactionValidationError } = require('./errors');
+
+// Protocol limit on commands in one programmable transaction
+const MAX_COMMANDS = 1024;
+
+const OBJECT_ID_PATTERN = /^0x[0-9a-fA-F]{1,64}$/;
+const MOVE_TARGET_PATTERN = /^0x[0-9a-fA-F]{1,64}::[A-Za-z_][A-Za-z0-9_]*::[A-Za-z_][A-Za-z0-9_]*$/;
+const DIGEST_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const INTEGER_BITS = { u8: 8, u16: 16, u32: 32, u64: 64, u128: 128, u256: 256 };
+
+/**
+ * Schema of each command: field name -> kind
+ *   arg / args         - one argument / non-empty list of arguments
+ *   optionalArgs       - list of arguments, may be empty or missing
+ *   address            - argument or plain address string
+ *   target / type / types / ids / modules / objectId - string fields
+ */
+const COMMAND_SCHEMAS = {
+    moveCall: { required: { target: 'target' }, optional: { typeArguments: 'types', arguments: 'optionalArgs' } },
+    transferObjects: { required: { objects: 'args', address: 'address' }, optional: {} },
+    splitCoins: { required: { coin: 'arg', amounts: 'args' }, optional: {} },
+    mergeCoins: { required: { destination: 'arg', sources: 'args' }, optional: {} },
+    makeMoveVec: { required: { elements: 'optionalArgs' }, optional: { type: 'type' } },
+    publish: { required: { modules: 'modules', dependencies: 'ids' }, optional: {} },
+    upgrade: { required: { modules: 'modules', dependencies: 'ids', package: 'objectId', ticket: 'arg' }, optional: {} }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a pure type string such as "vector<option<u64>>"
+ * @returns {Object} - { kind: 'u64' | 'bool' | ... | 'vector' | 'option', inner }
+ */
+function parsePureType(type) {
+    if (typeof type !== 'string') {
+        return null;
+    }
+    const trimmed = type.trim();
+    const generic = /^(vector|option)<(.+)>$/.exec(trimmed);
+    if (generic) {
+        const inner = parsePureType(generic[2]);
+        return inner ? { kind: generic[1], inner } : null;
+    }
+    if (INTEGER_BITS[trimmed] || ['bool', 'address', 'id', 'string'].includes(trimmed)) {
+        return { kind: trimmed };
+    }
+    return null;
+}
+
+/**
+ * Validate a pure value against its parsed type
+ * @returns {string|null} - Problem description, or null when valid
+ */
+function checkPureValue(type, value) {
+    if (INTEGER_BITS[type.kind]) {
+        const valid = (typeof value === 'number' && Number.isSafeInteger(value)) ||
+            (typeof value === 'string' && /^\d+$/.test(value));
+        if (!valid || BigInt(value) < 0n || BigInt(value) >= (1n << BigInt(INTEGER_BITS[type.kind]))) {
+            return `must be a ${type.kind} (non-negative integer or decimal string in range)`;
+        }
+        return null;
+    }
+    switch (type.kind) {
+        case 'bool':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'address':
+        case 'id':
+            return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : 'must be a 0x-prefixed hex address';
+        case 'string':
+            return typeof value === 'string' ? null : 'must be a string';
+        case 'vector': {
+            if (!Array.isArray(value)) {
+                return 'must be an array';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const problem = checkPureValue(type.inner, value[i]);
+                if (problem) {
+                    return `[${i}] ${problem}`;
+                }
+            }
+            return null;
+        }
+        case 'option':
+            return value === null || value === undefined ? null : checkPureValue(type.inner, value);
+        default:
+            return 'has an unsupported type';
+    }
+}
+
+/**
+ * Get the BCS type for a parsed pure type
+ */
+function toBcsType(type) {
+    if (INTEGER_BITS[type.kind]) {
+        return bcs[type.kind]();
+    }
+    switch (type.kind) {
+        case 'bool':
+            return bcs.bool();
+        case 'address':
+        case 'id':
+            return bcs.Address;
+        case 'string':
+            return bcs.string();
+        case 'vector':
+            return bcs.vector(toBcsType(type.inner));
+        case 'option':
+            return bcs.option(toBcsType(type.inner));
+        default:
+            throw new Error(`Unsupported pure type: ${type.kind}`);
+    }
+}
+
+/**
+ * Validate an object reference { objectId, version, digest }
+ */
+function checkObjectRef(ref, path, errors) {
+    if (!isObject(ref)) {
+        errors.push(`${path} must be an object reference`);
+        return;
+    }
+    if (typeof ref.objectId !== 'string' || !OBJECT_ID_PATTERN.test(ref.objectId)) {
+        errors.push(`${path}.objectId must be a 0x-prefixed hex object ID`);
+    }
+    if (!/^\d+$/.test(String(ref.version))) {
+        errors.push(`${path}.version must be a non-negative integer`);
+    }
+    if (typeof ref.digest !== 'string' || !DIGEST_PATTERN.test(ref.digest)) {
+        errors.push(`${path}.digest must be a base58 object digest`);
+    }
+}
+
+/**
+ * Validate one argument
+ * @param {number} commandIndex - Index of the command using the argument; results must come earlier
+ */
+function checkArgument(arg, path, commandIndex, errors) {
+    if (!isObject(arg) || Object.keys(arg).filter((key) => key !== 'index').length !== 1) {
+        errors.push(`${path} must be an object with exactly one of gas, object, objectRef, sharedObject, receiving, pure, result`);
+        return;
+    }
+
+    if ('gas' in arg) {
+        if (arg.gas !== true) errors.push(`${path}.gas must be true`);
+    } else if ('object' in arg) {
+        if (typeof arg.object !== 'string' || !OBJECT_ID_PATTERN.test(arg.object)) {
+            errors.push(`${path}.object must be a 0x-prefixed hex object ID`);
+        }
+    } else if ('objectRef' in arg) {
+        checkObjectRef(arg.objectRef, `${path}.objectRef`, errors);
+    } else if ('receiving' in arg) {
+        checkObjectRef(arg.receiving, `${path}.receiving`, errors);
+    } else if ('sharedObject' in arg) {
+        const shared = arg.sharedObject;
+        if (!isObject(shared) || typeof shared.objectId !== 'string' || !OBJECT_ID_PATTERN.test(shared.objectId)) {
+            errors.push(`${path}.sharedObject.objectId must be a 0x-prefixed hex object ID`);
+        } else {
+            if (!/^\d+$/.test(String(shared.initialSharedVersion))) {
+                errors.push(`${path}.sharedObject.initialSharedVersion must be a non-negative integer`);
+            }
+            if (typeof shared.mutable !== 'boolean') {
+                errors.push(`${path}.sharedObject.mutable must be a boolean`);
+            }
+        }
+    } else if ('pure' in arg) {
+        const type = isObject(arg.pure) ? parsePureType(arg.pure.type) : null;
+        if (!type) {
+            errors.push(`${path}.pure.type must be u8-u256, bool, address, id, string, vector<T> or option<T>`);
+        } else {
+            const problem = checkPureValue(type, arg.pure.value);
+            if (problem) errors.push(`${path}.pure.value ${problem}`);
+        }
+    } else if ('result' in arg) {
+        if (!Number.isInteger(arg.result) || arg.result < 0 || arg.result >= commandIndex) {
+            errors.push(commandIndex === 0
+                ? `${path}.result cannot be used in the first command`
+                : `${path}.result must reference an earlier command (0-${commandIndex - 1})`);
+        }
+    } else {
+        errors.push(`${path} has an unknown argument kind: ${Object.keys(arg)[0]}`);
+    }
+
+    if ('index' in arg && !('result' in arg && Number.isInteger(arg.index) && arg.index >= 0)) {
+        errors.push(`${path}.index is only allowed on result arguments and must be a non-negative integer`);
+    }
+}
+
+/**
+ * Validate one command field by kind
+ */
+function checkField(kind, value, path, commandIndex, errors) {
+    switch (kind) {
+        case 'arg':
+            checkArgument(value, path, commandIndex, errors);
+            break;
+        case 'args':
+        case 'optionalArgs':
+            if (!Array.isArray(value) || (kind === 'args' && value.length === 0)) {
+                errors.push(`${path} must be a${kind === 'args' ? ' non-empty' : 'n'} array of arguments`);
+                break;
+            }
+            value.forEach((arg, i) => checkArgument(arg, `${path}[${i}]`, commandIndex, errors));
+            break;
+        case 'address':
+            if (typeof value === 'string') {
+                if (!OBJECT_ID_PATTERN.test(value)) errors.push(`${path} must be a 0x-prefixed hex address`);
+            } else {
+                checkArgument(value, path, commandIndex, errors);
+            }
+            break;
+        case 'target':
+            if (typeof value !== 'string' || !MOVE_TARGET_PATTERN.test(value)) {
+                errors.push(`${path} must look like 0x<package>::<module>::<function>`);
+            }
+            break;
+        case 'type':
+            if (typeof value !== 'string' || !value.trim()) errors.push(`${path} must be a Move type string`);
+            break;
+        case 'types':
+            if (!Array.isArray(value) || value.some((type) => typeof type !== 'string' || !type.trim())) {
+                errors.push(`${path} must be an array of Move type strings`);
+            }
+            break;
+        case 'ids':
+            if (!Array.isArray(value) || value.some((id) => typeof id !== 'string' || !OBJECT_ID_PATTERN.test(id))) {
+                errors.push(`${path} must be an array of 0x-prefixed hex IDs`);
+            }
+            break;
+        case 'objectId':
+            if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+                errors.push(`${path} must be a 0x-prefixed hex ID`);
+            }
+            break;
+        case 'modules':
+            if (!Array.isArray(value) || value.length === 0 || value.some((module) => typeof module !== 'string' || !BASE64_PATTERN.test(module))) {
+                errors.push(`${path} must be a non-empty array of base64 module bytecode`);
+            }
+            break;
+        default:
+            errors.push(`${path} has an unknown field kind`);
+    }
+}
+
+/**
+ * Validate a transaction description
+ * @param {Object} description - JSON transaction description
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+function validateTransactionDescription(description) {
+    const errors = [];
+
+    if (!isObject(description)) {
+        return ['transaction must be an object'];
+    }
+    if (!Array.isArray(description.commands) || description.commands.length === 0) {
+        return ['commands must be a non-empty array'];
+    }
+    if (description.commands.length > MAX_COMMANDS) {
+        return [`commands cannot contain more than ${MAX_COMMANDS} entries`];
+    }
+    for (const field of ['gasBudget', 'gasPrice']) {
+        if (description[field] !== undefined && !/^\d+$/.test(String(description[field]))) {
+            errors.push(`${field} must be a non-negative integer`);
+        }
+    }
+
+    description.commands.forEach((command, index) => {
+        const path = `commands[${index}]`;
+        const names = isObject(command) ? Object.keys(command) : [];
+        if (names.length !== 1 || !COMMAND_SCHEMAS[names[0]]) {
+            errors.push(`${path} must have exactly one of ${Object.keys(COMMAND_SCHEMAS).join(', ')}`);
+            return;
+        }
+
+        const name = names[0];
+        const body = command[name];
+        const schema = COMMAND_SCHEMAS[name];
+        if (!isObject(body)) {
+            errors.push(`${path}.${name} must be an object`);
+            return;
+        }
+
+        for (const [field, kind] of Object.entries(schema.required)) {
+            if (body[field] === undefined) {
+                errors.push(`${path}.${name}.${field} is required`);
+            } else {
+                checkField(kind, body[field], `${path}.${name}.${field}`, index, errors);
+            }
+        }
+        for (const [field, kind] of Object.entries(schema.optional)) {
+            if (body[field] !== undefined) {
+                checkField(kind, body[field], `${path}.${name}.${field}`, index, errors);
+            }
+        }
+        for (const field of Object.keys(body)) {
+            if (!(field in schema.required) && !(field in schema.optional)) {
+                errors.push(`${path}.${name}.${field} is not a known field`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Turn a validated argument into a transaction argument
+ */
+function toArgument(tx, arg, results) {
+    if (typeof arg === 'string') {
+        return tx.pure.address(arg);
+    }
+    if ('gas' in arg) return tx.gas;
+    if ('object' in arg) return tx.object(arg.object);
+    if ('objectRef' in arg) return tx.objectRef(arg.objectRef);
+    if ('receiving' in arg) return tx.receivingRef(arg.receiving);
+    if ('sharedObject' in arg) return tx.sharedObjectRef(arg.sharedObject);
+    if ('pure' in arg) {
+        return tx.pure(toBcsType(parsePureType(arg.pure.type)).serialize(arg.pure.value));
+    }
+    return arg.index === undefined ? results[arg.result] : results[arg.result][arg.index];
+}
+
+/**
+ * Add one validated command to a transaction
+ */
+function addCommand(tx, name, body, results) {
+    const arg = (value) => toArgument(tx, value, results);
+    const args = (values = []) => values.map(arg);
+
+    switch (name) {
+        case 'moveCall':
+            return tx.moveCall({ target: body.target, typeArguments: body.typeArguments || [], arguments: args(body.arguments) });
+        case 'transferObjects':
+            return tx.transferObjects(args(body.objects), arg(body.address));
+        case 'splitCoins':
+            return tx.splitCoins(arg(body.coin), args(body.amounts));
+        case 'mergeCoins':
+            return tx.mergeCoins(arg(body.destination), args(body.sources));
+        case 'makeMoveVec':
+            return tx.makeMoveVec({ type: body.type, elements: args(body.elements) });
+        case 'publish':
+            return tx.publish({ modules: body.modules, dependencies: body.dependencies });
+        case 'upgrade':
+            return tx.upgrade({ modules: body.modules, dependencies: body.dependencies, package: body.package, ticket: arg(body.ticket) });
+        default:
+            throw new Error(`Unsupported command: ${name}`);
+    }
+}
+
+/**
+ * Check whether transaction data uses the legacy single moveCall / transferObjects shape
+ */
+function isLegacyTransactionData(data) {
+    return isObject(data) && data.commands === undefined && (data.moveCall !== undefined || data.transferObjects !== undefined);
+}
+
+/**
+ * Build a Transaction from a JSON description (or the legacy shape)
+ * @param {Object} description - Transaction description
+ * @param {Object} options - { sender }
+ * @returns {Transaction}
+ */
+function buildTransaction(description, options = {}) {
+    const tx = new Transaction();
+    if (options.sender) {
+        tx.setSender(options.sender);
+    }
+
+    if (isLegacyTransactionData(description)) {
+        if (description.moveCall) {
+            tx.moveCall(description.moveCall);
+        }
+        if (description.transferObjects) {
+            tx.transferObjects(description.transferObjects.objects, description.transferObjects.recipient);
+        }
+        return tx;
+    }
+
+    const errors = validateTransactionDescription(description);
+    if (errors.length > 0) {
+        throw new TransactionValidationError(`Invalid transaction: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`, errors);
+    }
+
+    const results = [];
+    for (const command of description.commands) {
+        const [name] = Object.keys(command);
+        results.push(addCommand(tx, name, command[name], results));
+    }
+
+    if (description.gasBudget !== undefined) {
+        tx.setGasBudget(BigInt(description.gasBudget));
+    }
+    if (description.gasPrice !== undefined) {
+        tx.setGasPrice(BigInt(description.gasPrice));
+    }
+
+    return tx;
+}
+
+module.exports = {
+    buildTransaction,
+    validateTransactionDescription,
+    isLegacyTransactionData,
+    parsePureType,
+    MAX_COMMANDS
+};
@@ -0,0 +1,183 @@
+/**
+ * Transaction Executor
+ *
+ * Submits signed transaction bytes through a SuiClient, waits for finality and
+ * reports the outcome in one normalized shape. Failures are mapped to stable
+ * error codes so API clients do not have to parse node error strings:
+ *
+ *   MOVE_ABORT                 - a Move function aborted (details carry module, function, abort code)
+ *   INSUFFICIENT_GAS           - the gas budget ran out
+ *   INSUFFICIENT_BALANCE       - a coin did not hold enough for the transaction
+ *   OBJECT_VERSION_CONFLICT    - an input object changed since the transaction was built
+ *   OBJECT_LOCKED              - an input object is locked by another transaction
+ *   ZKLOGIN_SIGNATURE_INVALID  - the zkLogin signature or proof was rejected
+ *   EPHEMERAL_KEY_EXPIRED      - the signature's maxEpoch has passed
+ *   RPC_UNAVAILABLE            - the fullnode could not be reached
+ *   TRANSACTION_FAILED         - anything else
+ */
+
+const { TransactionExecutionError } = require('./errors');
+
+const RESPONSE_OPTIONS = {
+    showEffects: true,
+    showEvents: true,
+    showObjectChanges: true,
+    showBalanceChanges: true
+};
+
+const DEFAULT_WAIT_TIMEOUT = 60 * 1000;
+
+/**
+ * Patterns checked in order against node error messages
+ */
+const ERROR_PATTERNS = [
+    { code: 'MOVE_ABORT', pattern: /MoveAbort/ },
+    { code: 'INSUFFICIENT_GAS', pattern: /InsufficientGas|GasBalanceTooLow|gas budget/i },
+    { code: 'INSUFFICIENT_BALANCE', pattern: /InsufficientCoinBalance|Insufficient balance|InsufficientFunds/i },
+    { code: 'OBJECT_VERSION_CONFLICT', pattern: /not available for consumption|ObjectVersionUnavailableForConsumption/i },
+    { code: 'OBJECT_LOCKED', pattern: /equivocat|already locked|ObjectLockConflict/i },
+    { code: 'EPHEMERAL_KEY_EXPIRED', pattern: /expired at epoch|ZKLogin expired|epoch .*expired/i },
+    { code: 'ZKLOGIN_SIGNATURE_INVALID', pattern: /zklogin|groth16|invalid (user )?signature|signature is not valid|InvalidSignature/i },
+    { code: 'RPC_UNAVAILABLE', pattern: /ECONNREFUSED|ENOTFOUND|ETIMEDOUT|fetch failed|socket hang up|Service Unavailable|Bad Gateway/i }
+];
+
+/**
+ * Extract module, function, abort code and command index from a MoveAbort message
+ * e.g. MoveAbort(MoveLocation { module: ModuleId { address: 0x2, name: Identifier("coin") },
+ *      function: 2, instruction: 10, function_name: Some("split") }, 0) in command 1
+ */
+function parseMoveAbort(message) {
+    const moduleMatch = /address:\s*([0-9a-fx]+),\s*name:\s*Identifier\("([^"]+)"\)/i.exec(message);
+    const functionMatch = /function_name:\s*Some\("([^"]+)"\)/.exec(message);
+    const abortMatch = /\},\s*(\d+)\)/.exec(message);
+    const commandMatch = /in command (\d+)/.exec(message);
+
+    return {
+        module: moduleMatch ? `${moduleMatch[1]}::${moduleMatch[2]}` : null,
+        function: functionMatch ? functionMatch[1] : null,
+        abortCode: abortMatch ? Number(abortMatch[1]) : null,
+        command: commandMatch ? Number(commandMatch[1]) : null
+    };
+}
+
+/**
+ * Classify a node error message
+ * @param {string} message - Error text from the RPC or from effects.status.error
+ * @returns {Object} - { code, message, details }
+ */
+function classifyExecutionError(message) {
+    const text = String(message || '');
+    const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(text));
+    const code = match ? match.code : 'TRANSACTION_FAILED';
+
+    return {
+        code,
+        message: text,
+        details: code === 'MOVE_ABORT' ? parseMoveAbort(text) : {}
+    };
+}
+
+/**
+ * Sum the gas used in transaction effects
+ */
+function normalizeGasUsed(gasUsed) {
+    if (!gasUsed) {
+        return null;
+    }
+
+    const computationCost = BigInt(gasUsed.computationCost || 0);
+    const storageCost = BigInt(gasUsed.storageCost || 0);
+    const storageRebate = BigInt(gasUsed.storageRebate || 0);
+
+    return {
+        computationCost: computationCost.toString(),
+        storageCost: storageCost.toString(),
+        storageRebate: storageRebate.toString(),
+        nonRefundableStorageFee: String(gasUsed.nonRefundableStorageFee || 0),
+        total: (computationCost + storageCost - storageRebate).toString()
+    };
+}
+
+/**
+ * Convert a SuiTransactionBlockResponse into the normalized result shape
+ * status is 'success', 'failure' or 'unknown' (no effects were returned)
+ * @returns {Object} - { digest, status, error, gasUsed, objectChanges, balanceChanges, events, checkpoint, timestampMs, confirmed }
+ */
+function normalizeExecutionResult(response, confirmed = true) {
+    const effects = response.effects || {};
+    // Without effects (submitted but never confirmed) the outcome is unknown
+    const status = effects.status ? effects.status.status : 'unknown';
+
+    return {
+        digest: response.digest,
+        status: status === 'success' || status === 'failure' ? status : 'unknown',
+        error: status === 'failure' ? classifyExecutionError(effects.status.error || 'Transaction failed without an error message') : null,
+        gasUsed: normalizeGasUsed(effects.gasUsed),
+        objectChanges: (response.objectChanges || []).map((change) => ({
+            type: change.type,
+            objectId: change.objectId || change.packageId,
+            objectType: change.objectType || null,
+            version: change.version !== undefined ? String(change.version) : null,
+            digest: change.digest || null,
+            owner: change.owner || null
+        })),
+        balanceChanges: (response.balanceChanges || []).map((change) => ({
+            owner: change.owner,
+            coinType: change.coinType,
+            amount: String(change.amount)
+        })),
+        events: (response.events || []).map((event) => ({
+            type: event.type,
+            sender: event.sender,
+            packageId: event.packageId,
+            module: event.transactionModule,
+            data: event.parsedJson
+        })),
+        checkpoint: response.checkpoint || null,
+        timestampMs: response.timestampMs || null,
+        confirmed
+    };
+}
+
+/**
+ * Submit signed transaction bytes and wait for the transaction to be checkpointed
+ * On-chain failures (Move aborts, gas) resolve with status 'failure'; failures
+ * before execution (signature, epoch, RPC) throw TransactionExecutionError.
+ * @param {SuiClient} client - Client used for submission
+ * @param {Object} signed - { transactionBytes: Uint8Array | base64 string, signature }
+ * @param {Object} options - { timeout } in ms for the finality wait
+ * @returns {Promise<Object>} - Normalized result
+ */
+async function executeSignedTransaction(client, { transactionBytes, signature }, options = {}) {
+    let submitted;
+    try {
+        submitted = await client.executeTransactionBlock({
+            transactionBlock: transactionBytes,
+            signature,
+            options: RESPONSE_OPTIONS
+        });
+    } catch (error) {
+        const classified = classifyExecutionError(error.message);
+        throw new TransactionExecutionError(classified.message, classified.code, classified.details);
+    }
+
+    try {
+        const final = await client.waitForTransaction({
+            digest: submitted.digest,
+            options: RESPONSE_OPTIONS,
+            timeout: options.timeout || DEFAULT_WAIT_TIMEOUT
+        });
+        return normalizeExecutionResult(final);
+    } catch (error) {
+        // The transaction was accepted; report the execution effects, marked unconfirmed
+        console.warn(`Could not confirm finality for ${submitted.digest}: ${error.message}`);
+        return normalizeExecutionResult(submitted, false);
+    }
+}
+
+module.exports = {
+    executeSignedTransaction,
+    normalizeExecutionResult,
+    classifyExecutionError,
+    parseMoveAbort
+};
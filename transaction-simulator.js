@@ -0,0 +1,137 @@
+/**
+ * Transaction Simulator
+ *
+ * Dry-runs transactions before they are signed so budgets can be sized from
+ * the gas a transaction actually uses, and transactions that would abort are
+ * refused before the user pays for them.
+ *
+ * The dry run uses the maximum budget and an empty gas payment, so the node
+ * supplies a mock gas coin and senders without SUI can still be simulated.
+ */
+
+const { Transaction } = require('@mysten/sui/transactions');
+const { TransactionSimulationError } = require('./errors');
+const { normalizeExecutionResult, classifyExecutionError } = require('./transaction-executor');
+
+// Protocol limit for a single transaction's gas budget (50 SUI)
+const MAX_GAS_BUDGET = 50000000000n;
+
+// Computation units added on top of the dry run, as the SDK does when it picks a budget
+const GAS_SAFE_OVERHEAD = 1000n;
+
+const DEFAULT_BUDGET_MARGIN_PERCENT = 10;
+
+/**
+ * Gas a transaction needs at minimum: computation, plus storage net of rebates
+ */
+function getRequiredGas(gasUsed) {
+    const computation = BigInt(gasUsed.computationCost);
+    const total = computation + BigInt(gasUsed.storageCost) - BigInt(gasUsed.storageRebate);
+    return total > computation ? total : computation;
+}
+
+/**
+ * Size a gas budget from dry-run gas usage
+ * @param {Object} gasUsed - Normalized gasUsed from the dry run
+ * @param {bigint} gasPrice - Gas price the transaction will use
+ * @param {number} marginPercent - Extra headroom in percent
+ * @returns {bigint}
+ */
+function estimateGasBudget(gasUsed, gasPrice, marginPercent = DEFAULT_BUDGET_MARGIN_PERCENT) {
+    const withOverhead = getRequiredGas({
+        ...gasUsed,
+        computationCost: BigInt(gasUsed.computationCost) + GAS_SAFE_OVERHEAD * gasPrice
+    });
+    const budget = withOverhead * BigInt(100 + marginPercent) / 100n;
+    return budget < MAX_GAS_BUDGET ? budget : MAX_GAS_BUDGET;
+}
+
+/**
+ * Dry-run a transaction without changing it
+ * @param {SuiClient} client - Client used for the dry run
+ * @param {Transaction} transaction - Transaction to simulate
+ * @param {Object} options - { sender, marginPercent }
+ * @returns {Promise<Object>} - { status, error, gasUsed, gasPrice, estimatedBudget, objectChanges, balanceChanges, events }
+ */
+async function simulateTransaction(client, transaction, options = {}) {
+    if (options.sender) {
+        transaction.setSenderIfNotSet(options.sender);
+    }
+
+    let response;
+    let gasPrice;
+    try {
+        const price = transaction.getData().gasData.price;
+        gasPrice = BigInt(price || await client.getReferenceGasPrice());
+
+        const probe = Transaction.from(transaction);
+        probe.setGasPrice(gasPrice);
+        probe.setGasBudget(MAX_GAS_BUDGET);
+        probe.setGasPayment([]);
+
+        response = await client.dryRunTransactionBlock({ transactionBlock: await probe.build({ client }) });
+    } catch (error) {
+        const classified = classifyExecutionError(error.message);
+        throw new TransactionSimulationError(`Dry run failed: ${classified.message}`, classified.code, classified.details);
+    }
+
+    const result = normalizeExecutionResult(response);
+    return {
+        status: result.status,
+        error: result.error,
+        gasUsed: result.gasUsed,
+        gasPrice: gasPrice.toString(),
+        estimatedBudget: result.status === 'success'
+            ? estimateGasBudget(result.gasUsed, gasPrice, options.marginPercent).toString()
+            : null,
+        objectChanges: result.objectChanges,
+        balanceChanges: result.balanceChanges,
+        events: result.events
+    };
+}
+
+/**
+ * Simulate a transaction and set its gas price and budget from the result
+ * A budget that was set explicitly is kept, but refused if the dry run shows
+ * it cannot cover the transaction.
+ * @param {SuiClient} client - Client used for the dry run
+ * @param {Transaction} transaction - Transaction to prepare (modified in place)
+ * @param {Object} options - { sender, marginPercent }
+ * @returns {Promise<Object>} - Simulation result with the gasBudget that was applied
+ */
+async function prepareTransactionGas(client, transaction, options = {}) {
+    const simulation = await simulateTransaction(client, transaction, options);
+
+    if (simulation.status !== 'success') {
+        throw new TransactionSimulationError(
+            `Transaction would fail: ${simulation.error.message}`,
+            simulation.error.code,
+            simulation.error.details
+        );
+    }
+
+    const { gasData } = transaction.getData();
+    if (!gasData.price) {
+        transaction.setGasPrice(BigInt(simulation.gasPrice));
+    }
+
+    if (!gasData.budget) {
+        transaction.setGasBudget(BigInt(simulation.estimatedBudget));
+    } else if (BigInt(gasData.budget) < getRequiredGas(simulation.gasUsed)) {
+        throw new TransactionSimulationError(
+            `Gas budget ${gasData.budget} is below the ${getRequiredGas(simulation.gasUsed)} the transaction needs`,
+            'GAS_BUDGET_TOO_LOW',
+            { gasBudget: String(gasData.budget), estimatedBudget: simulation.estimatedBudget }
+        );
+    }
+
+    return { ...simulation, gasBudget: String(transaction.getData().gasData.budget) };
+}
+
+module.exports = {
+    simulateTransaction,
+    prepareTransactionGas,
+    estimateGasBudget,
+    MAX_GAS_BUDGET,
+    DEFAULT_BUDGET_MARGIN_PERCENT
+};
@@ -0,0 +1,375 @@
+/**
+ * User data export and erasure
+ *
+ * Collects what the service holds about a user (the identities of their
+ * account, salts and salt history, MultiSig configs, sessions, uploaded
+ * images and mint records) into one JSON archive, and erases it again.
+ *
+ * Erasure deletes the off-chain data and anonymizes mint records, then stores
+ * a receipt that names no identity: a digest of the identities, what was
+ * removed, and the on-chain references that remain. NFTs and transactions on
+ * Sui are public and permanent; no erasure can remove them.
+ *
+ * Uploads and mint records belong to an owner, a digest of the identity's
+ * issuer and subject (see ownerKey()); sessions carry the same owner.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ensureMigrated } = require('./schema-migrations');
+
+const ARCHIVE_FORMAT = 'zklogin-user-data';
+const ARCHIVE_VERSION = 1;
+
+const ON_CHAIN_NOTICE = 'NFTs, transactions and addresses on the Sui blockchain are public and permanent. ' +
+    'They are not part of this service\'s data and cannot be deleted; transfer or burn the objects to dispose of them.';
+
+const UPLOADS = 'user_uploads';
+const MINT_RECORDS = 'mint_records';
+const ERASURE_RECEIPTS = 'erasure_receipts';
+
+// Created by migrations/006_user_data.js
+const TABLES = [
+    {
+        name: UPLOADS,
+        columns: {
+            file_name: 'text',
+            owner: 'text',
+            mime_type: { type: 'text', nullable: true },
+            size: { type: 'integer', nullable: true },
+            uploaded_at: 'text'
+        },
+        primaryKey: 'file_name',
+        indexes: ['owner']
+    },
+    {
+        name: MINT_RECORDS,
+        columns: {
+            id: 'text',
+            owner: { type: 'text', nullable: true },
+            address: { type: 'text', nullable: true },
+            name: { type: 'text', nullable: true },
+            description: { type: 'text', nullable: true },
+            image_file: { type: 'text', nullable: true },
+            transaction_digest: 'text',
+            nft_object_id: { type: 'text', nullable: true },
+            minted_at: 'text',
+            erased_at: { type: 'text', nullable: true }
+        },
+        primaryKey: 'id',
+        indexes: ['owner']
+    },
+    {
+        name: ERASURE_RECEIPTS,
+        columns: {
+            id: 'text',
+            subject_digest: 'text',
+            receipt: 'text',
+            created_at: 'text'
+        },
+        primaryKey: 'id',
+        indexes: ['subject_digest']
+    }
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Owner key of an identity: a digest of its issuer and subject
+ */
+function ownerKey({ issuer, subject }) {
+    return sha256(`${issuer}\n${subject}`);
+}
+
+/**
+ * Digest naming a set of identities in an erasure receipt
+ * Anyone holding the identities can recompute it; the receipt alone reveals none of them.
+ */
+function subjectDigest(identities) {
+    return sha256(identities.map(ownerKey).sort().join('\n'));
+}
+
+/**
+ * Digest of a receipt's contents, stored with it so later changes show
+ */
+function receiptDigest(receipt) {
+    const { digest, ...body } = receipt;
+    return sha256(JSON.stringify(body));
+}
+
+/**
+ * Uploads, mint records and erasure receipts on a storage backend
+ */
+class UserDataStore {
+    /**
+     * @param {Object} storage - Backend from createStorage()
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.initialized = false;
+        this.initPromise = ensureMigrated(storage).then(() => TABLES.forEach((table) => storage.registerTable(table)));
+    }
+
+    /**
+     * Ensure the schema is migrated before operations
+     */
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initPromise;
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Record a file a user uploaded to the uploads directory
+     * @param {Object} identity - { issuer, subject }
+     * @param {Object} file - { fileName, mimeType, size }
+     */
+    async recordUpload(identity, { fileName, mimeType = null, size = null }) {
+        await this.ensureInitialized();
+        await this.storage.insert(UPLOADS, {
+            file_name: fileName,
+            owner: ownerKey(identity),
+            mime_type: mimeType,
+            size,
+            uploaded_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Record an NFT minted for a user
+     * @param {Object} identity - { issuer, subject }
+     * @param {Object} mint - { address, name, description, imageFile, transactionDigest, nftObjectId }
+     * @returns {Promise<string>} - Record ID
+     */
+    async recordMint(identity, mint) {
+        await this.ensureInitialized();
+        const id = crypto.randomUUID();
+        await this.storage.insert(MINT_RECORDS, {
+            id,
+            owner: ownerKey(identity),
+            address: mint.address || null,
+            name: mint.name || null,
+            description: mint.description || null,
+            image_file: mint.imageFile || null,
+            transaction_digest: mint.transactionDigest,
+            nft_object_id: mint.nftObjectId || null,
+            minted_at: new Date().toISOString()
+        });
+        return id;
+    }
+
+    async findUploads(identity) {
+        await this.ensureInitialized();
+        const rows = await this.storage.find(UPLOADS, { owner: ownerKey(identity) }, { orderBy: { uploaded_at: 'asc' } });
+        return rows.map((row) => ({ fileName: row.file_name, mimeType: row.mime_type, size: row.size, uploadedAt: row.uploaded_at }));
+    }
+
+    async findMints(identity) {
+        await this.ensureInitialized();
+        const rows = await this.storage.find(MINT_RECORDS, { owner: ownerKey(identity) }, { orderBy: { minted_at: 'asc' } });
+        return rows.map((row) => ({
+            id: row.id,
+            address: row.address,
+            name: row.name,
+            description: row.description,
+            imageFile: row.image_file,
+            transactionDigest: row.transaction_digest,
+            nftObjectId: row.nft_object_id,
+            mintedAt: row.minted_at
+        }));
+    }
+
+    async deleteUploads(identity) {
+        await this.ensureInitialized();
+        return this.storage.delete(UPLOADS, { owner: ownerKey(identity) });
+    }
+
+    /**
+     * Clear everything but the on-chain references from a user's mint records
+     */
+    async anonymizeMints(identity, erasedAt = new Date().toISOString()) {
+        await this.ensureInitialized();
+        return this.storage.update(MINT_RECORDS, { owner: ownerKey(identity) }, {
+            owner: null,
+            address: null,
+            name: null,
+            description: null,
+            image_file: null,
+            erased_at: erasedAt
+        });
+    }
+
+    async saveReceipt(receipt) {
+        await this.ensureInitialized();
+        await this.storage.insert(ERASURE_RECEIPTS, {
+            id: receipt.receiptId,
+            subject_digest: receipt.subjectDigest,
+            receipt: JSON.stringify(receipt),
+            created_at: receipt.erasedAt
+        });
+    }
+
+    /**
+     * Get a stored erasure receipt
+     * @returns {Promise<Object|null>}
+     */
+    async getReceipt(receiptId) {
+        await this.ensureInitialized();
+        const row = await this.storage.get(ERASURE_RECEIPTS, { id: receiptId });
+        return row ? JSON.parse(row.receipt) : null;
+    }
+}
+
+/**
+ * Read an uploaded file for the archive
+ */
+async function readUpload(uploadsDir, fileName) {
+    try {
+        return (await fs.promises.readFile(path.join(uploadsDir, path.basename(fileName)))).toString('base64');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Collect everything held about a user
+ * @param {Object} subject - { account, identities: [{ issuer, subject, provider, address }] }
+ * @param {Object} sources - { saltDatabase, sessionStore, userData, uploadsDir }; missing ones are skipped
+ * @returns {Promise<Object>} - JSON archive; uploaded files are included base64-encoded
+ */
+async function exportUserData(subject, sources) {
+    const { saltDatabase, sessionStore, userData, uploadsDir } = sources;
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        account: subject.account ? { id: subject.account.id, createdAt: subject.account.createdAt } : null,
+        identities: subject.identities,
+        addresses: [],
+        salts: [],
+        multiSig: [],
+        sessions: [],
+        uploads: [],
+        mintRecords: [],
+        onChain: { notice: ON_CHAIN_NOTICE }
+    };
+
+    for (const identity of subject.identities) {
+        const owner = { issuer: identity.issuer, subject: identity.subject, provider: identity.provider };
+
+        if (saltDatabase) {
+            const stored = await saltDatabase.getSaltRecord(identity.subject, identity.provider);
+            const history = await saltDatabase.getSaltHistory(identity.subject, identity.provider);
+            if (stored || history.length) {
+                archive.salts.push({ ...owner, salt: stored && stored.salt, source: stored && stored.source, history });
+            }
+            const multiSig = await saltDatabase.getMultiSigConfig(identity.subject, identity.provider);
+            if (multiSig) {
+                archive.multiSig.push({ ...owner, config: multiSig });
+            }
+        }
+
+        if (sessionStore) {
+            for (const { sessionId, expiresAt, record } of await sessionStore.findByOwner(ownerKey(identity))) {
+                // The encrypted ephemeral key state is a credential, not data about the user
+                const { zkLoginState, link, ...fields } = record;
+                archive.sessions.push({ sessionId, expiresAt: new Date(expiresAt).toISOString(), ...fields });
+            }
+        }
+
+        if (userData) {
+            for (const upload of await userData.findUploads(identity)) {
+                archive.uploads.push({ ...owner, ...upload, content: uploadsDir ? await readUpload(uploadsDir, upload.fileName) : null });
+            }
+            for (const mint of await userData.findMints(identity)) {
+                archive.mintRecords.push({ ...owner, ...mint });
+            }
+        }
+    }
+
+    const addresses = [
+        ...subject.identities.map((identity) => identity.address),
+        ...archive.salts.flatMap((salt) => salt.history.map((entry) => entry.address)),
+        ...archive.mintRecords.map((mint) => mint.address)
+    ];
+    archive.addresses = [...new Set(addresses.filter(Boolean))];
+    return archive;
+}
+
+/**
+ * Erase everything held about a user and store a receipt
+ * The account goes last, so a failed erasure can be run again.
+ * @param {Object} subject - { account, identities }
+ * @param {Object} sources - { saltDatabase, accounts, sessionStore, userData, uploadsDir }
+ * @returns {Promise<Object>} - Receipt: { receiptId, erasedAt, subjectDigest, erased, anonymized, onChain, digest }
+ */
+async function eraseUserData(subject, sources) {
+    const { saltDatabase, accounts, sessionStore, userData, uploadsDir } = sources;
+    const erasedAt = new Date().toISOString();
+    const erased = { identities: 0, salts: 0, saltHistory: 0, multiSigConfigs: 0, sessions: 0, uploads: 0 };
+    const anonymized = { mintRecords: 0 };
+    const onChain = { notice: ON_CHAIN_NOTICE, transactionDigests: [], nftObjectIds: [] };
+
+    for (const identity of subject.identities) {
+        if (userData) {
+            for (const upload of await userData.findUploads(identity)) {
+                if (uploadsDir) {
+                    await fs.promises.rm(path.join(uploadsDir, path.basename(upload.fileName)), { force: true });
+                }
+            }
+            erased.uploads += await userData.deleteUploads(identity);
+
+            for (const mint of await userData.findMints(identity)) {
+                onChain.transactionDigests.push(mint.transactionDigest);
+                if (mint.nftObjectId) {
+                    onChain.nftObjectIds.push(mint.nftObjectId);
+                }
+            }
+            anonymized.mintRecords += await userData.anonymizeMints(identity, erasedAt);
+        }
+
+        if (saltDatabase) {
+            erased.saltHistory += (await saltDatabase.getSaltHistory(identity.subject, identity.provider)).length;
+            erased.salts += await saltDatabase.eraseUserSalts(identity.subject, identity.provider) ? 1 : 0;
+            erased.multiSigConfigs += await saltDatabase.deleteMultiSigConfig(identity.subject, identity.provider) ? 1 : 0;
+        }
+
+        if (sessionStore) {
+            erased.sessions += await sessionStore.deleteByOwner(ownerKey(identity));
+        }
+    }
+
+    if (accounts && subject.account) {
+        erased.identities = await accounts.deleteAccount(subject.account.id);
+    }
+
+    const receipt = {
+        receiptId: crypto.randomUUID(),
+        erasedAt,
+        subjectDigest: subjectDigest(subject.identities),
+        erased,
+        anonymized,
+        onChain
+    };
+    receipt.digest = receiptDigest(receipt);
+    if (userData) {
+        await userData.saveReceipt(receipt);
+    }
+    return receipt;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ON_CHAIN_NOTICE,
+    UserDataStore,
+    ownerKey,
+    subjectDigest,
+    receiptDigest,
+    exportUserData,
+    eraseUserData
+};
@@ -1,8 +1,14 @@
-const { SuiClient } = require('@mysten/sui/client');
+require('dotenv').config();
+const { getNetworkProfile, createSuiClient } = require('./networks');
 
 async function verifyContract() {
-    const client = new SuiClient({ url: 'https://fullnode.testnet.sui.io' });
-    const packageId = '0x009205b5a1a4e85a78747bb946f70a6dd6f78d312403ab00e807e018c3a2a3ab';
+    // Checks the package configured for the active network, or one given on the command line
+    const network = getNetworkProfile();
+    const client = createSuiClient(network);
+    const packageId = process.argv[2] || network.packageIds.nft;
+    if (!packageId) {
+        throw new Error(`No package ID given and none configured for ${network.name}`);
+    }
     
     try {
         console.log('🔍 Checking if package exists:', packageId);
@@ -37,7 +43,7 @@ async function verifyContract() {
         console.error('❌ Error checking package:', error.message);
         
         if (error.message.includes('not found') || error.message.includes('does not exist')) {
-            console.error('❌ CRITICAL: Package does not exist on testnet!');
+            console.error(`❌ CRITICAL: Package does not exist on ${network.name}!`);
             console.error('   This explains why moveCall is silently failing.');
             console.error('   The package needs to be deployed first.');
         }
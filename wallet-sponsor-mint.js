@@ -1,47 +1,49 @@
-const { SuiClient } = require('@mysten/sui/client');
 const { Transaction } = require('@mysten/sui/transactions');
 const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
 const { fromBase64 } = require('@mysten/sui/utils');
+const { prepareTransactionGas } = require('./transaction-simulator');
+const { getNetworkProfile, createSuiClient } = require('./networks');
 require('dotenv').config();
 
-// Wallet sponsoring configuration
-const SPONSOR_PRIVATE_KEY = process.env.SPONSOR_PRIVATE_KEY; // Add this to your .env file
-const SPONSOR_ADDRESS = process.env.SPONSOR_ADDRESS; // Add this to your .env file
-
 const NFT_CONTRACT_CONFIG = {
-    packageId: process.env.PACKAGE_ID,
     moduleName: 'photo_nft',
     functionName: 'mint_nft'
 };
 
-async function mintNFTWithWalletSponsor(userAddress, nftMetadata) {
-    console.log('🏦 Minting NFT with wallet sponsoring...');
+/**
+ * Mint an NFT to a user, paid for by the network's sponsor wallet
+ * @param {string} userAddress - Recipient
+ * @param {Object} nftMetadata - { name, description, image }
+ * @param {Object} [network] - Network profile (defaults to the active network)
+ */
+async function mintNFTWithWalletSponsor(userAddress, nftMetadata, network = getNetworkProfile()) {
+    console.log(`🏦 Minting NFT with wallet sponsoring on ${network.name}...`);
     
     try {
         // Validate package ID
-        if (!NFT_CONTRACT_CONFIG.packageId) {
-            throw new Error('PACKAGE_ID not found in environment variables. Please check your .env file.');
+        const packageId = network.packageIds.nft;
+        if (!packageId) {
+            throw new Error(`No NFT package ID configured for ${network.name}. Set PACKAGE_ID or ${network.name.toUpperCase()}_PACKAGE_ID in your .env file.`);
         }
         
-        console.log('📦 Using package ID:', NFT_CONTRACT_CONFIG.packageId);
-        // Initialize Sui client
-        const suiClient = new SuiClient({
-            url: 'https://fullnode.testnet.sui.io:443'
-        });
+        console.log('📦 Using package ID:', packageId);
+        // Initialize Sui client for the network
+        const suiClient = createSuiClient(network);
         
         // Create sponsor keypair from private key
-        if (!SPONSOR_PRIVATE_KEY) {
-            throw new Error('SPONSOR_PRIVATE_KEY not found in environment variables');
+        const sponsorPrivateKey = network.sponsor.privateKey;
+        if (!sponsorPrivateKey) {
+            throw new Error(`SPONSOR_PRIVATE_KEY not found in environment variables for ${network.name}`);
         }
         
         // Handle different private key formats
         let sponsorKeypair;
-        if (SPONSOR_PRIVATE_KEY.startsWith('suiprivkey1')) {
+        if (sponsorPrivateKey.startsWith('suiprivkey1')) {
             // Sui format private key
-            sponsorKeypair = Ed25519Keypair.fromSecretKey(SPONSOR_PRIVATE_KEY);
+            sponsorKeypair = Ed25519Keypair.fromSecretKey(sponsorPrivateKey);
         } else {
             // Base64 format private key
-            sponsorKeypair = Ed25519Keypair.fromSecretKey(fromBase64(SPONSOR_PRIVATE_KEY));
+            sponsorKeypair = Ed25519Keypair.fromSecretKey(fromBase64(sponsorPrivateKey));
         }
         const sponsorAddress = sponsorKeypair.getPublicKey().toSuiAddress();
         
@@ -50,14 +52,12 @@ async function mintNFTWithWalletSponsor(userAddress, nftMetadata) {
         
         // Create transaction
         const tx = new Transaction();
-        
-        // Set gas budget
-        tx.setGasBudget(10000000); // 0.01 SUI
+        tx.setSender(sponsorAddress);
         
         // Add the NFT minting move call
         // Function signature: mint_nft(recipient: address, name: string::String, description: string::String, image_url: string::String, ctx: &mut TxContext)
         tx.moveCall({
-            target: `${NFT_CONTRACT_CONFIG.packageId}::${NFT_CONTRACT_CONFIG.moduleName}::${NFT_CONTRACT_CONFIG.functionName}`,
+            target: `${packageId}::${NFT_CONTRACT_CONFIG.moduleName}::${NFT_CONTRACT_CONFIG.functionName}`,
             arguments: [
                 tx.pure.address(userAddress),        // recipient (first parameter)
                 tx.pure.string(nftMetadata.name),    // name
@@ -71,6 +71,10 @@ async function mintNFTWithWalletSponsor(userAddress, nftMetadata) {
         
         console.log('📝 Transaction created with move call');
         
+        // Dry-run first: refuses a mint that would abort and sizes the gas budget
+        const simulation = await prepareTransactionGas(suiClient, tx);
+        console.log('⛽ Gas budget from dry run:', simulation.gasBudget);
+        
         // Sign and execute transaction with sponsor wallet
         const result = await suiClient.signAndExecuteTransaction({
             transaction: tx,
@@ -103,7 +107,9 @@ async function mintNFTWithWalletSponsor(userAddress, nftMetadata) {
             sponsored: true,
             sponsorAddress: sponsorAddress,
             recipient: userAddress,
-            nftMetadata: nftMetadata
+            nftMetadata: nftMetadata,
+            gasBudget: simulation.gasBudget,
+            gasUsed: result.effects ? result.effects.gasUsed : null
         };
         
     } catch (error) {
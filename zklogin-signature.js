@@ -0,0 +1,201 @@
+/**
+ * zkLogin Signature Inspection and Verification
+ *
+ * A serialized zkLogin signature is the zkLogin flag byte followed by the BCS
+ * encoded proof inputs, maxEpoch and the ephemeral key's own signature. These
+ * helpers decode it and check it against the bytes it claims to sign.
+ *
+ * Verification reports each check instead of stopping at the first failure, so
+ * callers can tell an expired key from a forged signature. The Groth16 proof
+ * itself is checked by the fullnode, which holds the providers' current JWKs.
+ */
+
+const { parseSerializedSignature, SIGNATURE_SCHEME_TO_FLAG } = require('@mysten/sui/cryptography');
+const { verifyPersonalMessageSignature, verifyTransactionSignature } = require('@mysten/sui/verify');
+const { Transaction } = require('@mysten/sui/transactions');
+const {
+    parseZkLoginSignature,
+    toZkLoginPublicIdentifier,
+    computeZkLoginAddressFromSeed
+} = require('@mysten/sui/zklogin');
+const { fromBase64, toBase64, normalizeSuiAddress } = require('@mysten/sui/utils');
+const { decodeIssBase64Details } = require('./prover');
+const { ZkLoginError, SignatureVerificationError } = require('./errors');
+
+const INTENT_SCOPES = ['TransactionData', 'PersonalMessage'];
+
+/**
+ * Decode a serialized zkLogin signature
+ * @param {string|Uint8Array} signature - Serialized signature (base64 or bytes)
+ * @returns {Object} - { issuer, addressSeed, address, legacyAddress, maxEpoch, ephemeralKey, proof }
+ *   ephemeralKey.signature is the ephemeral key's serialized signature
+ */
+function inspectZkLoginSignature(signature) {
+    let parsed;
+    try {
+        const bytes = typeof signature === 'string' ? fromBase64(signature) : signature;
+        if (bytes[0] !== SIGNATURE_SCHEME_TO_FLAG.ZkLogin) {
+            throw new Error(`flag ${bytes[0]} is not the zkLogin flag`);
+        }
+        parsed = parseZkLoginSignature(bytes.slice(1));
+    } catch (error) {
+        throw new SignatureVerificationError(`Not a zkLogin signature: ${error.message}`, 'SIGNATURE_INVALID');
+    }
+
+    const { inputs, maxEpoch, userSignature } = parsed;
+    let issuer;
+    let ephemeral;
+    try {
+        issuer = decodeIssBase64Details(inputs.issBase64Details);
+        ephemeral = parseSerializedSignature(toBase64(Uint8Array.from(userSignature)));
+    } catch (error) {
+        throw new SignatureVerificationError(`Malformed zkLogin signature: ${error.message}`, 'SIGNATURE_INVALID');
+    }
+
+    const addressSeed = BigInt(inputs.addressSeed);
+    const { a, b, c } = inputs.proofPoints;
+    const isZero = (value) => BigInt(value) === 0n;
+
+    return {
+        issuer,
+        addressSeed: addressSeed.toString(),
+        address: toZkLoginPublicIdentifier(addressSeed, issuer).toSuiAddress(),
+        legacyAddress: computeZkLoginAddressFromSeed(addressSeed, issuer, true),
+        maxEpoch: Number(maxEpoch),
+        ephemeralKey: {
+            scheme: ephemeral.signatureScheme,
+            publicKey: toBase64(ephemeral.publicKey),
+            signature: ephemeral.serializedSignature
+        },
+        proof: {
+            // A proof with all-zero points cannot verify; treat it as missing
+            present: [a, ...b, c].every((points) => points.length > 0) && ![...a, ...b.flat(), ...c].every(isZero),
+            headerBase64: inputs.headerBase64
+        }
+    };
+}
+
+/**
+ * Read the sender of serialized transaction bytes
+ */
+function getTransactionSender(bytes) {
+    try {
+        const sender = Transaction.from(bytes).getData().sender;
+        return sender ? normalizeSuiAddress(sender) : null;
+    } catch (error) {
+        throw new ZkLoginError(`Could not decode transaction bytes: ${error.message}`, 'TRANSACTION_INVALID');
+    }
+}
+
+/**
+ * Verify a zkLogin signature over transaction or personal message bytes
+ * @param {SuiClient} client - Client for the epoch and the proof check
+ * @param {Uint8Array} bytes - Transaction bytes or message bytes that were signed
+ * @param {string} signature - Serialized zkLogin signature (base64)
+ * @param {Object} options - { intentScope: 'TransactionData' | 'PersonalMessage', address, currentEpoch }
+ *   address defaults to the transaction sender for TransactionData
+ * @returns {Promise<Object>} - Inspection fields plus { valid, signer, currentEpoch, expired, checks, errors }
+ */
+async function verifyZkLoginSignature(client, bytes, signature, options = {}) {
+    const intentScope = options.intentScope || 'TransactionData';
+    if (!INTENT_SCOPES.includes(intentScope)) {
+        throw new ZkLoginError(`Unsupported intent scope: ${intentScope}`, 'SIGNATURE_INTENT_INVALID');
+    }
+
+    const inspected = inspectZkLoginSignature(signature);
+    const errors = [];
+    const checks = { address: false, userSignature: false, epoch: false, proof: null };
+
+    // The claimed signer must be the address the seed and issuer derive to
+    const claimed = options.address
+        ? normalizeSuiAddress(options.address)
+        : (intentScope === 'TransactionData' ? getTransactionSender(bytes) : null);
+    const signer = claimed || inspected.address;
+    checks.address = signer === inspected.address || signer === inspected.legacyAddress;
+    if (!checks.address) {
+        errors.push({ code: 'SIGNATURE_ADDRESS_MISMATCH', message: `Signature belongs to ${inspected.address}, not ${signer}` });
+    }
+
+    // The ephemeral key's signature covers the intent and bytes, and needs no network
+    try {
+        const verify = intentScope === 'TransactionData' ? verifyTransactionSignature : verifyPersonalMessageSignature;
+        await verify(bytes, inspected.ephemeralKey.signature);
+        checks.userSignature = true;
+    } catch (error) {
+        errors.push({ code: 'SIGNATURE_INVALID', message: 'Ephemeral key signature does not match the signed bytes' });
+    }
+
+    let currentEpoch = options.currentEpoch;
+    if (currentEpoch === undefined) {
+        try {
+            currentEpoch = Number((await client.getLatestSuiSystemState()).epoch);
+        } catch (error) {
+            throw new ZkLoginError(`Could not fetch current epoch: ${error.message}`, 'RPC_UNAVAILABLE');
+        }
+    }
+    const expired = currentEpoch > inspected.maxEpoch;
+    checks.epoch = !expired;
+    if (expired) {
+        errors.push({
+            code: 'EPHEMERAL_KEY_EXPIRED',
+            message: `Signature expired at epoch ${inspected.maxEpoch} (current epoch ${currentEpoch})`
+        });
+    }
+
+    if (!inspected.proof.present) {
+        errors.push({ code: 'ZKLOGIN_PROOF_MISSING', message: 'Signature carries no zkProof' });
+    }
+
+    // Only ask the fullnode about the proof once everything checkable here passed
+    if (errors.length === 0) {
+        let result;
+        try {
+            result = await client.verifyZkLoginSignature({
+                bytes: toBase64(bytes),
+                signature,
+                intentScope,
+                author: signer
+            });
+        } catch (error) {
+            throw new ZkLoginError(`Could not verify zkLogin signature: ${error.message}`, 'RPC_UNAVAILABLE');
+        }
+        checks.proof = result.success === true && (result.errors || []).length === 0;
+        if (!checks.proof) {
+            errors.push({
+                code: 'ZKLOGIN_SIGNATURE_INVALID',
+                message: `zkLogin signature rejected: ${(result.errors || []).join('; ') || 'unknown reason'}`
+            });
+        }
+    }
+
+    return {
+        ...inspected,
+        valid: errors.length === 0,
+        intentScope,
+        signer,
+        currentEpoch,
+        expired,
+        checks,
+        errors
+    };
+}
+
+/**
+ * Verify a zkLogin signature and throw SignatureVerificationError unless it is valid
+ * @returns {Promise<Object>} - The verification report
+ */
+async function assertValidZkLoginSignature(client, bytes, signature, options = {}) {
+    const report = await verifyZkLoginSignature(client, bytes, signature, options);
+    if (!report.valid) {
+        const [first] = report.errors;
+        throw new SignatureVerificationError(first.message, first.code, { errors: report.errors });
+    }
+    return report;
+}
+
+module.exports = {
+    inspectZkLoginSignature,
+    verifyZkLoginSignature,
+    assertValidZkLoginSignature,
+    INTENT_SCOPES
+};
@@ -5,68 +5,236 @@
  * using the official @mysten/sui package.
  */
 
-const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
-const { Secp256k1Keypair } = require('@mysten/sui/keypairs/secp256k1');
 const { 
     computeZkLoginAddressFromSeed,
-    computeZkLoginAddress,
     getZkLoginSignature,
-    parseZkLoginSignature,
     generateNonce,
     generateRandomness,
-    getExtendedEphemeralPublicKey,
-    jwtToAddress
+    getExtendedEphemeralPublicKey
 } = require('@mysten/sui/zklogin');
 const crypto = require('crypto');
+const axios = require('axios');
 const { SuiClient } = require('@mysten/sui/client');
-const { Transaction } = require('@mysten/sui/transactions');
+const { createProverClient } = require('./prover');
+const { JwtVerifier } = require('./jwt-verifier');
+const {
+    ZkLoginError,
+    JwtVerificationError,
+    EphemeralKeyExpiredError,
+    ProviderDiscoveryError,
+    TransactionExecutionError
+} = require('./errors');
+const { OidcDiscovery } = require('./oidc-discovery');
+const {
+    DEFAULT_KEY_SCHEME,
+    getKeyScheme,
+    generateKeypair,
+    importKeypair,
+    exportKeypair
+} = require('./key-schemes');
+const {
+    DEFAULT_DERIVATION,
+    toSaltBigInt,
+    isSaltInField,
+    deriveSaltSeedAddress,
+    validateKeyClaimName,
+    deriveAddress,
+    computeCandidateAddresses
+} = require('./address-derivation');
+const { buildTransaction } = require('./transaction-builder');
+const { executeSignedTransaction } = require('./transaction-executor');
+const { simulateTransaction, prepareTransactionGas } = require('./transaction-simulator');
+const { inspectZkLoginSignature, verifyZkLoginSignature } = require('./zklogin-signature');
+const {
+    getZkLoginPublicKey,
+    createMultiSigConfig,
+    normalizeMultiSigConfig,
+    combineMultiSigSignatures
+} = require('./multisig');
+const { deriveKey, encrypt, decrypt } = require('./encryption');
+const { getNetworkProfile, createSuiClient } = require('./networks');
+const { createSaltProvider } = require('./salt-provider');
+const { AccountStore } = require('./accounts');
+
+// Version of the serialized session state format
+const SESSION_STATE_VERSION = 1;
+
+// 'implicit' returns the id_token to the browser; 'code' exchanges a code for it on the server
+const OAUTH_FLOWS = ['implicit', 'code'];
 
 /**
  * zkLogin Provider configurations
+ *
+ * Each entry carries everything the flow needs for that provider:
+ *   authUrl / tokenUrl    - OAuth authorization and token endpoints
+ *   issuer / jwksUrl      - Expected id_token issuer(s) and signing keys; "{tenantid}"
+ *                           in an issuer is filled from the token's tid claim
+ *   scope                 - Scopes requested at authorization
+ *   responseType / responseMode - How the provider returns the id_token; a responseType
+ *                           of 'code' makes the authorization-code flow the default
+ *   clientIdEnv / clientSecretEnv - Environment variables holding the client credentials
+ *   keyClaimName / legacyAddress - Optional address derivation ('sub' or 'email', and
+ *                           whether to use the legacy unpadded address encoding)
+ *
+ * Further providers can be added at runtime from their issuer URL with
+ * ZkLogin.discoverProvider(); those entries are marked `discovered: true`.
  */
 const PROVIDERS = {
     google: {
         name: 'Google',
         authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        issuer: ['https://accounts.google.com', 'accounts.google.com'],
+        jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs',
         scope: 'openid email profile',
-        responseType: 'id_token'
+        responseType: 'id_token',
+        responseMode: 'fragment',
+        clientIdEnv: 'GOOGLE_CLIENT_ID',
+        clientSecretEnv: 'GOOGLE_CLIENT_SECRET'
     },
     facebook: {
         name: 'Facebook',
         authUrl: 'https://www.facebook.com/v18.0/dialog/oauth',
+        tokenUrl: 'https://graph.facebook.com/v18.0/oauth/access_token',
+        issuer: 'https://www.facebook.com',
+        jwksUrl: 'https://www.facebook.com/.well-known/oauth/openid/jwks/',
         scope: 'openid email',
-        responseType: 'id_token'
+        responseType: 'id_token',
+        responseMode: 'fragment',
+        clientIdEnv: 'FACEBOOK_CLIENT_ID',
+        clientSecretEnv: 'FACEBOOK_CLIENT_SECRET'
     },
     twitch: {
         name: 'Twitch',
         authUrl: 'https://id.twitch.tv/oauth2/authorize',
+        tokenUrl: 'https://id.twitch.tv/oauth2/token',
+        issuer: 'https://id.twitch.tv/oauth2',
+        jwksUrl: 'https://id.twitch.tv/oauth2/keys',
         scope: 'openid user:read:email',
-        responseType: 'id_token'
+        responseType: 'id_token',
+        responseMode: 'fragment',
+        clientIdEnv: 'TWITCH_CLIENT_ID',
+        clientSecretEnv: 'TWITCH_CLIENT_SECRET'
     },
     apple: {
         name: 'Apple',
         authUrl: 'https://appleid.apple.com/auth/authorize',
+        tokenUrl: 'https://appleid.apple.com/auth/token',
+        issuer: 'https://appleid.apple.com',
+        jwksUrl: 'https://appleid.apple.com/auth/keys',
         scope: 'openid email name',
-        responseType: 'id_token'
+        // Apple requires form_post whenever name or email scopes are requested
+        responseType: 'code id_token',
+        responseMode: 'form_post',
+        clientIdEnv: 'APPLE_CLIENT_ID',
+        clientSecretEnv: 'APPLE_CLIENT_SECRET'
+    },
+    microsoft: {
+        name: 'Microsoft',
+        authUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+        tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+        issuer: 'https://login.microsoftonline.com/{tenantid}/v2.0',
+        jwksUrl: 'https://login.microsoftonline.com/common/discovery/v2.0/keys',
+        scope: 'openid email profile',
+        responseType: 'id_token',
+        responseMode: 'fragment',
+        clientIdEnv: 'MICROSOFT_CLIENT_ID',
+        clientSecretEnv: 'MICROSOFT_CLIENT_SECRET'
+    },
+    kakao: {
+        name: 'Kakao',
+        authUrl: 'https://kauth.kakao.com/oauth/authorize',
+        tokenUrl: 'https://kauth.kakao.com/oauth/token',
+        issuer: 'https://kauth.kakao.com',
+        jwksUrl: 'https://kauth.kakao.com/.well-known/jwks.json',
+        scope: 'openid',
+        // Kakao only issues id_tokens through the authorization-code flow
+        responseType: 'code',
+        responseMode: 'query',
+        clientIdEnv: 'KAKAO_CLIENT_ID',
+        clientSecretEnv: 'KAKAO_CLIENT_SECRET'
     }
 };
 
+// Shared so every ZkLogin instance reuses fetched discovery documents
+const oidcDiscovery = new OidcDiscovery();
+
+/**
+ * Add a provider entry to PROVIDERS
+ * Built-in providers cannot be replaced; discovered ones are refreshed in place.
+ * @param {string} providerId - Provider key (lowercase letters, digits, - and _)
+ * @param {Object} provider - Entry in the PROVIDERS format
+ */
+function registerProvider(providerId, provider) {
+    if (!/^[a-z0-9_-]+$/.test(providerId)) {
+        throw new ProviderDiscoveryError(`Invalid provider id: ${providerId}`, 'PROVIDER_ID_INVALID');
+    }
+    if (PROVIDERS[providerId] && !PROVIDERS[providerId].discovered) {
+        throw new ProviderDiscoveryError(`Provider ${providerId} is built in and cannot be replaced`, 'PROVIDER_EXISTS');
+    }
+
+    const missing = ['name', 'authUrl', 'issuer', 'jwksUrl', 'scope', 'responseType'].filter((field) => !provider[field]);
+    if (missing.length > 0) {
+        throw new ProviderDiscoveryError(`Provider ${providerId} is missing: ${missing.join(', ')}`, 'PROVIDER_INVALID');
+    }
+
+    PROVIDERS[providerId] = provider;
+    return provider;
+}
+
+/**
+ * Get client credentials for a provider from the environment
+ * @param {string} providerId - Key in PROVIDERS
+ * @param {Object} env - Environment to read (defaults to process.env)
+ * @returns {Object} - { clientId, clientSecret }
+ */
+function getProviderCredentials(providerId, env = process.env) {
+    const provider = PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error(`Unsupported provider: ${providerId}`);
+    }
+
+    return {
+        clientId: provider.clientIdEnv ? env[provider.clientIdEnv] : undefined,
+        clientSecret: provider.clientSecretEnv ? env[provider.clientSecretEnv] : undefined
+    };
+}
+
 /**
  * Production zkLogin Class
  */
 class ZkLogin {
     constructor(config = {}) {
+        // Network profile the RPC URL defaults come from (the active network unless named)
+        this.network = getNetworkProfile(config.network);
+
         this.config = {
-            suiRpcUrl: config.suiRpcUrl || 'https://fullnode.devnet.sui.io:443',
+            network: this.network.name,
+            suiRpcUrl: config.suiRpcUrl || this.network.rpcUrl,
             provider: config.provider || 'google',
             clientId: config.clientId,
             redirectUrl: config.redirectUrl,
-            keyScheme: config.keyScheme || 'ED25519',
-            oauthFlow: config.oauthFlow || 'implicit',
+            // Validated here so a bad KEY_SCHEME fails at startup rather than at first login
+            keyScheme: getKeyScheme(config.keyScheme || DEFAULT_KEY_SCHEME).name,
+            clientSecret: config.clientSecret,
+            oauthFlow: config.oauthFlow,
             maxEpoch: config.maxEpoch || 10,
             userSalt: config.userSalt || '0',
             useDatabase: config.useDatabase || false,
-            dbPath: config.dbPath || './zklogin_salts.db'
+            // static (userSalt), random (stored per user), hkdf (derived from saltSeed)
+            // or remote (fetched from saltServiceUrl); see salt-provider.js
+            saltStrategy: config.saltStrategy ||
+                (config.saltServiceUrl ? 'remote' : (config.useDatabase ? 'random' : 'static')),
+            saltSeed: config.saltSeed,
+            saltServiceUrl: config.saltServiceUrl,
+            saltServiceApiKey: config.saltServiceApiKey,
+            dbPath: config.dbPath || './zklogin_salts.db',
+            prover: config.prover || { type: 'mysten' },
+            verifyJwt: config.verifyJwt !== false,
+            jwks: config.jwks,
+            clockTolerance: config.clockTolerance,
+            keyClaimName: config.keyClaimName,
+            legacyAddress: config.legacyAddress
         };
 
         // Validate required config
@@ -79,18 +247,65 @@ class ZkLogin {
         if (!PROVIDERS[this.config.provider]) {
             throw new Error(`Unsupported provider: ${this.config.provider}`);
         }
+        if (this.config.oauthFlow && !OAUTH_FLOWS.includes(this.config.oauthFlow)) {
+            throw new Error(`Unsupported OAuth flow: ${this.config.oauthFlow}`);
+        }
+        validateKeyClaimName(this.getDerivationOptions().keyClaimName);
+
+        // Accept a ready client (anything with getLatestSuiSystemState) or build one from the RPC URL
+        this.suiClient = config.suiClient ||
+            (config.suiRpcUrl ? new SuiClient({ url: config.suiRpcUrl }) : createSuiClient(this.network));
+
+        // Accept a ready prover client or options for createProverClient
+        this.prover = typeof this.config.prover.generateProof === 'function'
+            ? this.config.prover
+            : createProverClient(this.config.prover);
 
-        this.suiClient = new SuiClient({ url: this.config.suiRpcUrl });
+        // id_tokens are checked against the provider JWKS unless verification is disabled
+        this.jwtVerifier = config.jwtVerifier || new JwtVerifier({
+            jwks: this.config.jwks,
+            clockTolerance: this.config.clockTolerance
+        });
         
         // Initialize database if enabled (lazy require to avoid bundling sqlite in serverless)
+        // A saltDatabase passed in is shared with other instances and left open by closeDatabase()
         if (this.config.useDatabase) {
-            const { UserSaltDatabase } = require('./database');
-            this.saltDatabase = new UserSaltDatabase(this.config.dbPath);
+            this.ownsDatabase = !config.saltDatabase;
+            if (config.saltDatabase) {
+                this.saltDatabase = config.saltDatabase;
+            } else {
+                const { UserSaltDatabase } = require('./database');
+                this.saltDatabase = new UserSaltDatabase(this.config.dbPath, { storage: config.storage });
+            }
+            // Accounts live next to the salts of their identities
+            this.accounts = config.accounts || new AccountStore(this.saltDatabase.storage);
         }
+
+        // Accept a ready salt provider or build one for the salt strategy
+        this.saltProvider = config.saltProvider || createSaltProvider({
+            strategy: this.config.saltStrategy,
+            salt: this.config.userSalt,
+            database: this.saltDatabase,
+            seed: this.config.saltSeed,
+            url: this.config.saltServiceUrl,
+            apiKey: this.config.saltServiceApiKey
+        });
         
         this.reset();
     }
 
+    /**
+     * Register a provider from its issuer URL using OpenID Connect discovery
+     * @param {string} providerId - Provider key
+     * @param {string} issuer - Issuer URL (must match the discovery document exactly)
+     * @param {Object} options - { name, scope, responseType }
+     * @returns {Promise<Object>} - The registered PROVIDERS entry
+     */
+    static async discoverProvider(providerId, issuer, options = {}) {
+        const provider = await oidcDiscovery.discover(providerId, issuer, options);
+        return registerProvider(providerId, provider);
+    }
+
     /**
      * Reset the zkLogin state
      */
@@ -101,8 +316,13 @@ class ZkLogin {
         this.maxEpoch = null;
         this.currentEpoch = null;
         this.jwt = null;
+        this.decodedJWT = null;
+        this.userSalt = undefined;
         this.userAddress = null;
         this.zkLoginSignature = null;
+        this.zkProofInputs = null;
+        this.codeVerifier = null;
+        this.multiSig = null;
     }
 
     /**
@@ -110,13 +330,7 @@ class ZkLogin {
      */
     generateEphemeralKeyPair() {
         try {
-            if (this.config.keyScheme === 'ED25519') {
-                this.ephemeralKeyPair = new Ed25519Keypair();
-            } else if (this.config.keyScheme === 'Secp256k1') {
-                this.ephemeralKeyPair = new Secp256k1Keypair();
-            } else {
-                throw new Error(`Unsupported key scheme: ${this.config.keyScheme}`);
-            }
+            this.ephemeralKeyPair = generateKeypair(this.config.keyScheme);
 
             return {
                 success: true,
@@ -128,6 +342,30 @@ class ZkLogin {
         }
     }
 
+    /**
+     * Step 1 (alternative): Use an existing ephemeral key instead of generating one
+     * @param {string|Uint8Array} secretKey - suiprivkey string, or raw bytes / 0x hex / base64
+     *   in the configured key scheme
+     */
+    importEphemeralKeyPair(secretKey) {
+        const { keypair } = importKeypair(secretKey, this.config.keyScheme);
+        this.ephemeralKeyPair = keypair;
+
+        return {
+            success: true,
+            publicKey: keypair.getPublicKey().toSuiAddress(),
+            keyScheme: this.config.keyScheme
+        };
+    }
+
+    /**
+     * Export the ephemeral key as { scheme, secretKey } (null before one exists)
+     * The secret key is sensitive; see serialize() for storing sessions.
+     */
+    exportEphemeralKeyPair() {
+        return this.ephemeralKeyPair ? exportKeypair(this.ephemeralKeyPair) : null;
+    }
+
     /**
      * Step 2: Prepare for JWT acquisition
      */
@@ -153,6 +391,10 @@ class ZkLogin {
                 throw new Error('redirectUrl is required');
             }
 
+            // Get current epoch from Sui network
+            this.currentEpoch = await this.getCurrentEpoch();
+            this.maxEpoch = this.currentEpoch + this.config.maxEpoch;
+
             // Generate randomness using Sui SDK (with fallback)
             try {
                 this.randomness = generateRandomness();
@@ -162,49 +404,11 @@ class ZkLogin {
                 this.randomness = BigInt('0x' + crypto.randomBytes(32).toString('hex'));
             }
 
-            // Get current epoch from Sui network
-            this.currentEpoch = await this.getCurrentEpoch();
-            this.maxEpoch = this.currentEpoch + this.config.maxEpoch;
+            // The nonce commits to the ephemeral public key, maxEpoch and randomness
+            this.nonce = generateNonce(this.ephemeralKeyPair.getPublicKey(), this.maxEpoch, this.randomness);
 
-            // Get extended ephemeral public key (with fallback)
-            let extendedEphemeralPublicKey;
-            try {
-                extendedEphemeralPublicKey = getExtendedEphemeralPublicKey(this.ephemeralKeyPair.getPublicKey());
-            } catch (error) {
-                console.warn('getExtendedEphemeralPublicKey not available, using public key directly');
-                extendedEphemeralPublicKey = this.ephemeralKeyPair.getPublicKey();
-            }
-
-            // Generate nonce using Sui SDK (with fallback)
-            try {
-                this.nonce = generateNonce(extendedEphemeralPublicKey, this.maxEpoch, this.randomness);
-            } catch (error) {
-                console.warn('generateNonce not available, using fallback');
-                // Fallback: Create nonce using SHA256 hash of components
-                let ephemeralPublicKeyBase64;
-                try {
-                    // Try toBase64() method first
-                    ephemeralPublicKeyBase64 = extendedEphemeralPublicKey.toBase64();
-                } catch (e) {
-                    // If toBase64() doesn't exist, try toSuiAddress() or convert from bytes
-                    try {
-                        ephemeralPublicKeyBase64 = extendedEphemeralPublicKey.toSuiAddress();
-                    } catch (e2) {
-                        // Last resort: convert bytes to base64
-                        const publicKeyBytes = extendedEphemeralPublicKey.toBytes ? 
-                            extendedEphemeralPublicKey.toBytes() : 
-                            extendedEphemeralPublicKey;
-                        ephemeralPublicKeyBase64 = Buffer.from(publicKeyBytes).toString('base64');
-                    }
-                }
-                
-                const nonceData = JSON.stringify({
-                    ephemeralPublicKey: ephemeralPublicKeyBase64,
-                    maxEpoch: this.maxEpoch,
-                    randomness: this.randomness.toString()
-                });
-                this.nonce = crypto.createHash('sha256').update(nonceData).digest('base64url');
-            }
+            // PKCE verifier for the code flow (RFC 7636), kept until the code is exchanged
+            this.codeVerifier = this.getOAuthFlow() === 'code' ? crypto.randomBytes(32).toString('base64url') : null;
 
             return {
                 success: true,
@@ -214,6 +418,9 @@ class ZkLogin {
                 maxEpoch: this.maxEpoch
             };
         } catch (error) {
+            if (error instanceof ZkLoginError) {
+                throw error;
+            }
             throw new Error(`Failed to prepare for JWT: ${error.message}`);
         }
     }
@@ -222,17 +429,81 @@ class ZkLogin {
 
     /**
      * Get current epoch from Sui network
+     * A guessed epoch would yield a maxEpoch the network rejects, so failures are reported.
      */
     async getCurrentEpoch() {
         try {
             const epoch = await this.suiClient.getLatestSuiSystemState();
             return parseInt(epoch.epoch);
         } catch (error) {
-            console.warn('Warning: Could not fetch current epoch from Sui network, using fallback');
-            return 100; // Fallback epoch
+            throw new ZkLoginError(`Could not fetch current epoch from Sui network: ${error.message}`, 'EPOCH_UNAVAILABLE');
         }
     }
 
+    /**
+     * Check how long the ephemeral key can still sign
+     * Signatures are accepted while the current epoch is at most maxEpoch.
+     * @returns {Promise<Object>} - { currentEpoch, maxEpoch, epochsRemaining, expired }
+     */
+    async getEpochStatus() {
+        if (this.maxEpoch === null || this.maxEpoch === undefined) {
+            return { currentEpoch: null, maxEpoch: null, epochsRemaining: null, expired: false };
+        }
+
+        const currentEpoch = await this.getCurrentEpoch();
+        return {
+            currentEpoch,
+            maxEpoch: this.maxEpoch,
+            epochsRemaining: Math.max(this.maxEpoch - currentEpoch, 0),
+            expired: currentEpoch > this.maxEpoch
+        };
+    }
+
+    /**
+     * Throw EphemeralKeyExpiredError if the ephemeral key is past maxEpoch
+     */
+    async assertKeyNotExpired() {
+        const status = await this.getEpochStatus();
+        if (status.expired) {
+            throw new EphemeralKeyExpiredError(
+                `Ephemeral key expired at epoch ${status.maxEpoch} (current epoch ${status.currentEpoch}); renew the session key`,
+                { currentEpoch: status.currentEpoch, maxEpoch: status.maxEpoch }
+            );
+        }
+        return status;
+    }
+
+    /**
+     * Replace an expired or expiring ephemeral key
+     * Generates a new key pair, randomness and nonce. The JWT and proof are dropped
+     * because both commit to the old nonce; the salt and address are kept, and the
+     * next processJWT() must resolve to the same address.
+     * @returns {Promise<Object>} - prepareForJWT() result plus the new public key
+     */
+    async renewEphemeralKey() {
+        const { userSalt, userAddress, multiSig } = this;
+
+        this.reset();
+        this.userSalt = userSalt;
+        this.userAddress = userAddress;
+        this.multiSig = multiSig;
+
+        const keyResult = this.generateEphemeralKeyPair();
+        const jwtResult = await this.prepareForJWT();
+        return { ...jwtResult, publicKey: keyResult.publicKey, userAddress };
+    }
+
+    /**
+     * Get the OAuth flow for this session
+     * config.oauthFlow overrides the provider default, which follows its responseType.
+     */
+    getOAuthFlow() {
+        if (this.config.oauthFlow) {
+            return this.config.oauthFlow;
+        }
+        return PROVIDERS[this.config.provider].responseType === 'code' ? 'code' : 'implicit';
+    }
+
     /**
      * Build OAuth URL for authentication
      */
@@ -240,23 +511,93 @@ class ZkLogin {
         const provider = PROVIDERS[this.config.provider];
         
         const state = sessionId || `zklogin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const isCodeFlow = (this.config.oauthFlow || 'implicit') === 'code';
+        const isCodeFlow = this.getOAuthFlow() === 'code';
+        if (isCodeFlow && !this.codeVerifier) {
+            throw new Error('JWT preparation not completed. Call prepareForJWT() first.');
+        }
+
         const params = new URLSearchParams({
             client_id: this.config.clientId,
             redirect_uri: this.config.redirectUrl,
-            response_type: isCodeFlow ? 'code' : 'id_token',
-            scope: 'openid email profile',
+            response_type: isCodeFlow ? 'code' : provider.responseType,
+            scope: provider.scope,
             state: state,
-            // implicit uses fragment, code flow uses query
-            response_mode: isCodeFlow ? 'query' : 'fragment'
+            // Providers that require form_post for their scopes (Apple) also need it for codes
+            response_mode: isCodeFlow && provider.responseMode !== 'form_post' ? 'query' : provider.responseMode,
+            // Every flow ends in an id_token, which must carry the nonce to bind the ephemeral key
+            nonce: this.nonce
         });
-        if (!isCodeFlow) {
-            // nonce only applies to implicit id_token flow
-            params.set('nonce', this.nonce);
+        if (isCodeFlow) {
+            params.set('code_challenge', crypto.createHash('sha256').update(this.codeVerifier).digest('base64url'));
+            params.set('code_challenge_method', 'S256');
         }
         return `${provider.authUrl}?${params.toString()}`;
     }
 
+    /**
+     * Exchange an authorization code for the provider's id_token
+     * Sends the PKCE verifier, plus the client secret when one is configured.
+     * @param {string} code - Authorization code from the callback
+     * @returns {Promise<string>} - id_token
+     */
+    async exchangeCodeForToken(code) {
+        const provider = PROVIDERS[this.config.provider];
+        if (!code) {
+            throw new ZkLoginError('Authorization code is required', 'OAUTH_CODE_MISSING');
+        }
+        if (!this.codeVerifier) {
+            throw new ZkLoginError('No pending authorization-code flow for this session', 'OAUTH_FLOW_INVALID');
+        }
+        if (!provider.tokenUrl) {
+            throw new ZkLoginError(`Provider ${this.config.provider} has no token endpoint`, 'OAUTH_FLOW_INVALID');
+        }
+
+        const params = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.config.redirectUrl,
+            client_id: this.config.clientId,
+            code_verifier: this.codeVerifier
+        });
+        if (this.config.clientSecret) {
+            params.set('client_secret', this.config.clientSecret);
+        }
+
+        let tokenData;
+        try {
+            const response = await axios.post(provider.tokenUrl, params.toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json'
+                },
+                timeout: 15000
+            });
+            tokenData = response.data;
+        } catch (error) {
+            const data = error.response && error.response.data;
+            const reason = data && data.error
+                ? `${data.error}${data.error_description ? `: ${data.error_description}` : ''}`
+                : error.message;
+            throw new ZkLoginError(`Token exchange with ${provider.name} failed: ${reason}`, 'OAUTH_TOKEN_EXCHANGE_FAILED');
+        }
+
+        if (!tokenData || !tokenData.id_token) {
+            throw new ZkLoginError(`No ID token received from ${provider.name}`, 'OAUTH_TOKEN_EXCHANGE_FAILED');
+        }
+
+        // Codes and verifiers are single use
+        this.codeVerifier = null;
+        return tokenData.id_token;
+    }
+
+    /**
+     * Step 3 (code flow): exchange the authorization code and process the id_token
+     */
+    async processAuthorizationCode(code) {
+        const idToken = await this.exchangeCodeForToken(code);
+        return this.processJWT(idToken);
+    }
+
     /**
      * Step 3: Process JWT token received from OAuth provider
      */
@@ -271,69 +612,116 @@ class ZkLogin {
                 throw new Error('Invalid JWT token format');
             }
 
-            this.jwt = jwtToken;
-
             // Decode JWT completely for zkLogin signature assembly
-            this.decodedJWT = this.decodeJWT(jwtToken);
+            const decodedJWT = this.decodeJWT(jwtToken);
+
+            // Verify signature, issuer, audience and lifetime against the provider JWKS
+            if (this.config.verifyJwt) {
+                await this.verifyJWT(jwtToken);
+            }
 
             // Validate nonce in JWT matches the generated nonce
-            if (this.decodedJWT.payload.nonce !== this.nonce) {
-                throw new Error(`Nonce mismatch: expected ${this.nonce}, got ${this.decodedJWT.payload.nonce}`);
+            if (decodedJWT.payload.nonce !== this.nonce) {
+                throw new JwtVerificationError(
+                    `Nonce mismatch: expected ${this.nonce}, got ${decodedJWT.payload.nonce}`,
+                    'JWT_NONCE_MISMATCH'
+                );
             }
 
             // Extract subject from JWT
             const subject = this.extractSubFromJWT(jwtToken);
 
-            // Get or generate custom salt for this user
-            let userSalt;
+            // Get, generate or derive the salt for this user
+            let userSalt = await this.saltProvider.getSalt({
+                jwt: jwtToken,
+                payload: decodedJWT.payload,
+                subject,
+                provider: this.config.provider,
+                clientId: this.config.clientId
+            });
+            if (!isSaltInField(userSalt) && this.config.useDatabase && this.saltDatabase) {
+                userSalt = await this.replaceUnusableSalt(subject, userSalt, decodedJWT.payload);
+            }
+            let multiSig = this.multiSig;
             if (this.config.useDatabase && this.saltDatabase) {
-                // Use database to get/create custom salt
-                userSalt = await this.saltDatabase.getOrCreateUserSalt(subject, this.config.provider);
-                console.log(`Using custom salt from database for user ${subject}`);
-            } else {
-                // Use configured salt (legacy behavior)
-                userSalt = this.config.userSalt;
-                console.log(`Using configured salt: ${userSalt}`);
+                const storedMultiSig = await this.saltDatabase.getMultiSigConfig(subject, this.config.provider);
+                multiSig = storedMultiSig ? normalizeMultiSigConfig(storedMultiSig) : null;
             }
 
-            // Store the salt for later use
-            this.userSalt = userSalt;
+            // Compute zkLogin address from the same address seed the proof commits to
+            const { address: userAddress } = deriveAddress(decodedJWT.payload, userSalt, this.getDerivationOptions());
 
-            // Compute zkLogin address using jwtToAddress for proper salt handling
-            try {
-                this.userAddress = jwtToAddress(jwtToken, userSalt);
-            } catch (error) {
-                console.warn('jwtToAddress failed, using fallback method:', error.message);
-                // Fallback: Use computeZkLoginAddressFromSeed if jwtToAddress fails
-                const decoded = this.decodeJWT(jwtToken);
-                
-                // Convert hex salt to BigInt for computeZkLoginAddressFromSeed
-                let saltForFallback = userSalt;
-                if (typeof userSalt === 'string' && /^[0-9a-fA-F]+$/.test(userSalt)) {
-                    saltForFallback = BigInt('0x' + userSalt);
-                }
-                
-                this.userAddress = computeZkLoginAddressFromSeed(
-                    saltForFallback,
-                    'sub',
-                    decoded.payload.sub,
-                    decoded.payload.aud
+            // A renewed session must sign back in as the same account
+            if (this.userAddress && this.userAddress !== userAddress) {
+                throw new JwtVerificationError(
+                    `JWT resolves to ${userAddress}, but this session belongs to ${this.userAddress}`,
+                    'ADDRESS_MISMATCH'
                 );
             }
 
+            this.jwt = jwtToken;
+            this.decodedJWT = decodedJWT;
+            this.zkProofInputs = null;
+            this.userSalt = userSalt;
+            this.userAddress = userAddress;
+            this.multiSig = multiSig;
+
+            // Keep the salt history's addresses complete for later rotations
+            if (this.config.useDatabase && this.saltDatabase) {
+                await this.saltDatabase.recordSaltAddress(subject, this.config.provider, userSalt, userAddress);
+                await this.accounts.recordSignIn(this.getIdentity());
+            }
+
             return {
                 success: true,
                 jwt: jwtToken,
                 userAddress: this.userAddress,
+                multiSigAddress: multiSig ? multiSig.address : null,
                 subject: subject,
                 userSalt: userSalt,
                 decodedJWT: this.decodedJWT
             };
         } catch (error) {
+            if (error instanceof ZkLoginError) {
+                throw error;
+            }
             throw new Error(`Failed to process JWT: ${error.message}`);
         }
     }
 
+    /**
+     * Move a stored salt outside the BN254 field to a new random salt
+     * See UserSaltDatabase.replaceUnusableSalt(). Salts that are not stored
+     * (static, derived or remote) are refused with SALT_OUT_OF_FIELD.
+     * @returns {Promise<string>} - Salt to sign in with
+     */
+    async replaceUnusableSalt(subject, salt, payload) {
+        const provider = this.config.provider;
+        const stored = await this.saltDatabase.getSaltRecord(subject, provider);
+        if (!stored || stored.salt !== salt) {
+            throw new ZkLoginError('Salt is outside the BN254 field', 'SALT_OUT_OF_FIELD');
+        }
+        const newSalt = this.saltDatabase.generateSalt();
+        return this.saltDatabase.replaceUnusableSalt(subject, provider, {
+            salt,
+            legacyAddress: deriveSaltSeedAddress(salt),
+            newSalt,
+            address: deriveAddress(payload, newSalt, this.getDerivationOptions()).address
+        });
+    }
+
+    /**
+     * Verify a JWT against the JWKS of the configured provider
+     * @returns {Promise<Object>} - Verified { header, payload }
+     */
+    async verifyJWT(jwtToken) {
+        return this.jwtVerifier.verify(jwtToken, {
+            providerId: this.config.provider,
+            provider: PROVIDERS[this.config.provider],
+            audience: this.config.clientId
+        });
+    }
+
     /**
      * Validate JWT token format
      */
@@ -432,16 +820,122 @@ class ZkLogin {
     }
 
     /**
-     * Step 4: Generate zkLogin signature for transaction
+     * Get the address derivation options for this session
+     * config values override the provider entry, which overrides the defaults.
+     * @returns {Object} - { keyClaimName, legacyAddress, clientId }
      */
-    async generateZkLoginSignature(transactionBytes, zkProof) {
+    getDerivationOptions() {
+        const provider = PROVIDERS[this.config.provider];
+        const pick = (key) => [this.config[key], provider[key], DEFAULT_DERIVATION[key]].find((value) => value !== undefined);
+
+        return {
+            keyClaimName: pick('keyClaimName'),
+            legacyAddress: pick('legacyAddress'),
+            clientId: this.config.clientId
+        };
+    }
+
+    /**
+     * Compute the address seed for the current JWT and salt
+     */
+    getAddressSeed() {
+        if (!this.jwt || this.userSalt === undefined || this.userSalt === null) {
+            throw new Error('JWT and user salt are required to compute the address seed');
+        }
+
+        const payload = this.decodeJWT(this.jwt).payload;
+        return BigInt(deriveAddress(payload, this.userSalt, this.getDerivationOptions()).addressSeed);
+    }
+
+    /**
+     * List every address the current JWT and salt may map to
+     * Useful for finding assets minted under an older derivation; see computeCandidateAddresses().
+     */
+    getCandidateAddresses() {
+        if (!this.jwt || this.userSalt === undefined || this.userSalt === null) {
+            throw new Error('JWT and user salt are required to compute candidate addresses');
+        }
+
+        return computeCandidateAddresses(this.decodeJWT(this.jwt).payload, this.userSalt, this.getDerivationOptions());
+    }
+
+    /**
+     * Step 4: Generate zkProof inputs for the current JWT using the prover client
+     */
+    async generateZkProof() {
         try {
             if (!this.ephemeralKeyPair || !this.jwt) {
                 throw new Error('zkLogin setup not completed');
             }
+            if (!this.maxEpoch || !this.randomness) {
+                throw new Error('JWT preparation not completed. Call prepareForJWT() first.');
+            }
 
-            // Sign transaction with ephemeral key
-            const userSignature = await this.ephemeralKeyPair.signTransaction(transactionBytes);
+            const publicKey = this.ephemeralKeyPair.getPublicKey();
+            const addressSeed = this.getAddressSeed();
+
+            const proof = await this.prover.generateProof({
+                jwt: this.jwt,
+                extendedEphemeralPublicKey: getExtendedEphemeralPublicKey(publicKey),
+                ephemeralPublicKey: publicKey.toSuiPublicKey(),
+                maxEpoch: this.maxEpoch,
+                randomness: this.randomness.toString(),
+                salt: toSaltBigInt(this.userSalt).toString(),
+                keyClaimName: this.getDerivationOptions().keyClaimName
+            });
+
+            // Keep the inputs on the session so signing can use them later
+            this.zkProofInputs = {
+                ...proof,
+                addressSeed: addressSeed.toString()
+            };
+
+            return {
+                success: true,
+                zkProof: this.zkProofInputs,
+                addressSeed: addressSeed.toString()
+            };
+        } catch (error) {
+            if (error instanceof ZkLoginError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate zkProof: ${error.message}`);
+        }
+    }
+
+    /**
+     * Step 5: Generate zkLogin signature for transaction
+     */
+    async generateZkLoginSignature(transactionBytes, zkProof = this.zkProofInputs) {
+        return this.signWithEphemeralKey((keyPair) => keyPair.signTransaction(transactionBytes), zkProof);
+    }
+
+    /**
+     * Sign a personal message (e.g. a sign-in message) with zkLogin
+     * @param {string|Uint8Array} message - Message text or bytes
+     * @returns {Promise<Object>} - { success, signature, bytes } with bytes as base64
+     */
+    async signPersonalMessage(message, zkProof = this.zkProofInputs) {
+        const messageBytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+        const result = await this.signWithEphemeralKey((keyPair) => keyPair.signPersonalMessage(messageBytes), zkProof);
+        return { ...result, bytes: Buffer.from(messageBytes).toString('base64') };
+    }
+
+    /**
+     * Sign with the ephemeral key and wrap the signature with the zkProof
+     * @param {Function} sign - Receives the ephemeral key pair, resolves to { signature }
+     */
+    async signWithEphemeralKey(sign, zkProof) {
+        try {
+            if (!this.ephemeralKeyPair || !this.jwt) {
+                throw new Error('zkLogin setup not completed');
+            }
+            if (!zkProof) {
+                throw new Error('zkProof not available. Call generateZkProof() first.');
+            }
+            await this.assertKeyNotExpired();
+
+            const userSignature = await sign(this.ephemeralKeyPair);
 
             // Generate zkLogin signature
             this.zkLoginSignature = getZkLoginSignature({
@@ -455,12 +949,39 @@ class ZkLogin {
                 signature: this.zkLoginSignature
             };
         } catch (error) {
+            if (error instanceof ZkLoginError) {
+                throw error;
+            }
             throw new Error(`Failed to generate zkLogin signature: ${error.message}`);
         }
     }
 
+    /**
+     * Decode a zkLogin signature (defaults to the last one this instance produced)
+     * @returns {Object} - { issuer, addressSeed, address, maxEpoch, ephemeralKey, proof, ... }
+     */
+    inspectSignature(signature = this.zkLoginSignature) {
+        if (!signature) {
+            throw new Error('No zkLogin signature to inspect');
+        }
+        return inspectZkLoginSignature(signature);
+    }
+
+    /**
+     * Verify a zkLogin signature against the bytes it signs
+     * @param {Uint8Array} bytes - Transaction or personal message bytes
+     * @param {string} signature - Serialized zkLogin signature
+     * @param {Object} options - { intentScope, address }
+     * @returns {Promise<Object>} - Verification report (see zklogin-signature.js)
+     */
+    async verifySignature(bytes, signature, options = {}) {
+        return verifyZkLoginSignature(this.suiClient, bytes, signature, options);
+    }
+
     /**
      * Create a transaction and sign it with zkLogin
+     * @param {Object} transactionData - JSON transaction description, or the legacy
+     *   { moveCall, transferObjects: { objects, recipient } } shape
      */
     async createAndSignTransaction(transactionData, zkProof) {
         try {
@@ -468,20 +989,11 @@ class ZkLogin {
                 throw new Error('User address not available. Process JWT first.');
             }
 
-            const transaction = new Transaction();
-            transaction.setSender(this.userAddress);
-            
-            // Add transaction data
-            if (transactionData.moveCall) {
-                transaction.moveCall(transactionData.moveCall);
-            }
-            
-            if (transactionData.transferObjects) {
-                transaction.transferObjects(
-                    transactionData.transferObjects.objects,
-                    transactionData.transferObjects.recipient
-                );
-            }
+            // Commands come from a JSON description (see transaction-builder.js)
+            const transaction = buildTransaction(transactionData, { sender: this.userAddress });
+
+            // Refuse transactions that would fail, and size the budget if none was given
+            const simulation = await prepareTransactionGas(this.suiClient, transaction);
 
             // Build transaction
             const transactionBytes = await transaction.build({ client: this.suiClient });
@@ -493,18 +1005,151 @@ class ZkLogin {
                 success: true,
                 transaction: transaction,
                 transactionBytes: transactionBytes,
-                signature: signatureResult.signature
+                signature: signatureResult.signature,
+                simulation
             };
         } catch (error) {
+            if (error instanceof ZkLoginError) {
+                throw error;
+            }
             throw new Error(`Failed to create and sign transaction: ${error.message}`);
         }
     }
 
+    /**
+     * Dry-run a transaction description for the current user without signing it
+     * @param {Object} transactionData - JSON description (see transaction-builder.js)
+     * @returns {Promise<Object>} - Simulation result (see transaction-simulator.js)
+     */
+    async simulateTransaction(transactionData) {
+        if (!this.userAddress) {
+            throw new Error('User address not available. Process JWT first.');
+        }
+        const transaction = buildTransaction(transactionData, { sender: this.userAddress });
+        return simulateTransaction(this.suiClient, transaction);
+    }
+
+    /**
+     * Step 6: Submit zkLogin-signed transaction bytes and wait for finality
+     * @param {Uint8Array|string} transactionBytes - Bytes (or base64) that were signed
+     * @param {string} signature - zkLogin signature
+     * @returns {Promise<Object>} - Normalized result (see transaction-executor.js)
+     */
+    async executeTransaction(transactionBytes, signature) {
+        if (!transactionBytes || !signature) {
+            throw new Error('transactionBytes and signature are required');
+        }
+        // The network would reject it anyway; failing here gives the clearer error
+        await this.assertKeyNotExpired();
+        return executeSignedTransaction(this.suiClient, { transactionBytes, signature });
+    }
+
+    /**
+     * Build, sign and execute a transaction in one call
+     */
+    async signAndExecuteTransaction(transactionData, zkProof) {
+        const signed = await this.createAndSignTransaction(transactionData, zkProof);
+        return this.executeTransaction(signed.transactionBytes, signed.signature);
+    }
+
+    /**
+     * Get the Sui public key of this user's zkLogin identity (a MultiSig member)
+     */
+    getZkLoginPublicKey() {
+        if (!this.decodedJWT) {
+            throw new Error('JWT is required to compute the zkLogin public key');
+        }
+        return getZkLoginPublicKey(this.getAddressSeed(), this.decodedJWT.payload.iss);
+    }
+
+    /**
+     * Set up a recoverable MultiSig account for this user
+     * The config is stored per user when the database is enabled.
+     * @param {Object} options - { backupKeys: [{ publicKey, weight, label }], threshold, zkLoginWeight }
+     * @returns {Promise<Object>} - MultiSig config with its address
+     */
+    async configureMultiSig(options) {
+        this.assertLoginCurrent();
+        const multiSig = createMultiSigConfig({ ...options, zkLoginPublicKey: this.getZkLoginPublicKey() });
+
+        if (this.config.useDatabase && this.saltDatabase) {
+            await this.saltDatabase.saveMultiSigConfig(this.extractSubFromJWT(this.jwt), this.config.provider, multiSig);
+        }
+        this.multiSig = multiSig;
+        return multiSig;
+    }
+
+    /**
+     * Remove this user's MultiSig config; the address stays usable by its members
+     */
+    async removeMultiSig() {
+        this.assertLoginCurrent();
+        if (this.config.useDatabase && this.saltDatabase) {
+            await this.saltDatabase.deleteMultiSigConfig(this.extractSubFromJWT(this.jwt), this.config.provider);
+        }
+        this.multiSig = null;
+    }
+
+    /**
+     * Get the MultiSig config (null when the account has none)
+     */
+    getMultiSig() {
+        return this.multiSig;
+    }
+
+    /**
+     * Build a transaction sent from the MultiSig address
+     * @param {Object} transactionData - JSON description (see transaction-builder.js)
+     * @returns {Promise<Object>} - { transaction, transactionBytes, simulation }
+     */
+    async createMultiSigTransaction(transactionData) {
+        const multiSig = this.requireMultiSig();
+        const transaction = buildTransaction(transactionData, { sender: multiSig.address });
+        const simulation = await prepareTransactionGas(this.suiClient, transaction);
+        const transactionBytes = await transaction.build({ client: this.suiClient });
+        return { transaction, transactionBytes, simulation };
+    }
+
+    /**
+     * Combine member signatures over MultiSig transaction bytes
+     * @param {Uint8Array} transactionBytes - Bytes from createMultiSigTransaction()
+     * @param {Object} options - { signatures: backup members' signatures, useZkLogin: add this user's zkLogin signature }
+     * @returns {Promise<Object>} - { signature, signers, weight }
+     */
+    async signMultiSigTransaction(transactionBytes, { signatures = [], useZkLogin = true, zkProof } = {}) {
+        const multiSig = this.requireMultiSig();
+        const partial = [...signatures];
+        if (useZkLogin) {
+            partial.push((await this.generateZkLoginSignature(transactionBytes, zkProof)).signature);
+        }
+        return combineMultiSigSignatures(multiSig, partial);
+    }
+
+    /**
+     * Submit a MultiSig-signed transaction
+     * The ephemeral key is not checked, since backup members can sign without it.
+     */
+    async executeMultiSigTransaction(transactionBytes, signature) {
+        this.requireMultiSig();
+        return executeSignedTransaction(this.suiClient, { transactionBytes, signature });
+    }
+
+    /**
+     * Get the MultiSig config or throw MULTISIG_NOT_CONFIGURED
+     */
+    requireMultiSig() {
+        if (!this.multiSig) {
+            throw new ZkLoginError('No MultiSig account is configured for this user', 'MULTISIG_NOT_CONFIGURED');
+        }
+        return this.multiSig;
+    }
+
     /**
      * Get current state of zkLogin process
      */
     getState() {
         return {
+            keyScheme: this.config.keyScheme,
             hasEphemeralKeyPair: !!this.ephemeralKeyPair,
             hasRandomness: !!this.randomness,
             hasNonce: !!this.nonce,
@@ -512,15 +1157,22 @@ class ZkLogin {
             hasDecodedJWT: !!this.decodedJWT,
             hasUserAddress: !!this.userAddress,
             hasZkLoginSignature: !!this.zkLoginSignature,
+            hasZkProof: !!this.zkProofInputs,
             ephemeralPublicKey: this.ephemeralKeyPair ? this.ephemeralKeyPair.getPublicKey().toSuiAddress() : null,
             randomness: this.randomness ? this.randomness.toString() : null,
             nonce: this.nonce,
             currentEpoch: this.currentEpoch,
             maxEpoch: this.maxEpoch,
             jwtClaims: this.jwt ? this.getJWTClaims() : null,
+            multiSig: this.multiSig,
             config: {
                 provider: this.config.provider,
+                oauthFlow: this.getOAuthFlow(),
+                keyClaimName: this.getDerivationOptions().keyClaimName,
+                legacyAddress: this.getDerivationOptions().legacyAddress,
                 keyScheme: this.config.keyScheme,
+                saltStrategy: this.config.saltStrategy,
+                network: this.config.network,
                 suiRpcUrl: this.config.suiRpcUrl,
                 clientId: this.config.clientId ? `${this.config.clientId.substring(0, 20)}...` : null,
                 redirectUrl: this.config.redirectUrl
@@ -528,6 +1180,81 @@ class ZkLogin {
         };
     }
 
+    /**
+     * Export the session state needed to resume the zkLogin flow
+     * Contains the ephemeral secret key, so only store it encrypted (see serialize()).
+     */
+    exportState() {
+        return {
+            version: SESSION_STATE_VERSION,
+            provider: this.config.provider,
+            keyScheme: this.config.keyScheme,
+            ephemeralSecretKey: this.ephemeralKeyPair ? this.ephemeralKeyPair.getSecretKey() : null,
+            randomness: this.randomness ? this.randomness.toString() : null,
+            nonce: this.nonce,
+            codeVerifier: this.codeVerifier,
+            currentEpoch: this.currentEpoch,
+            maxEpoch: this.maxEpoch,
+            jwt: this.jwt,
+            userSalt: this.userSalt !== undefined ? this.userSalt : null,
+            userAddress: this.userAddress,
+            zkProofInputs: this.zkProofInputs,
+            multiSig: this.multiSig
+        };
+    }
+
+    /**
+     * Restore session state produced by exportState()
+     */
+    restoreState(state) {
+        if (!state || state.version !== SESSION_STATE_VERSION) {
+            throw new Error(`Unsupported session state version: ${state && state.version}`);
+        }
+
+        this.reset();
+        if (state.provider) this.config.provider = state.provider;
+        if (state.keyScheme) this.config.keyScheme = getKeyScheme(state.keyScheme).name;
+
+        if (state.ephemeralSecretKey) {
+            this.ephemeralKeyPair = importKeypair(state.ephemeralSecretKey, this.config.keyScheme).keypair;
+        }
+
+        this.randomness = state.randomness ? BigInt(state.randomness) : null;
+        this.nonce = state.nonce;
+        this.codeVerifier = state.codeVerifier || null;
+        this.currentEpoch = state.currentEpoch;
+        this.maxEpoch = state.maxEpoch;
+        this.jwt = state.jwt;
+        this.decodedJWT = state.jwt ? this.decodeJWT(state.jwt) : null;
+        this.userSalt = state.userSalt !== null ? state.userSalt : undefined;
+        this.userAddress = state.userAddress;
+        this.zkProofInputs = state.zkProofInputs;
+        this.multiSig = state.multiSig ? normalizeMultiSigConfig(state.multiSig) : null;
+    }
+
+    /**
+     * Serialize the session state to an encrypted blob
+     * @param {string} secret - Session encryption secret
+     * @returns {string} - Encrypted session state
+     */
+    serialize(secret) {
+        return encrypt(JSON.stringify(this.exportState()), deriveKey(secret, 'zklogin-session-state'));
+    }
+
+    /**
+     * Create a ZkLogin instance from an encrypted blob produced by serialize()
+     * @param {string} blob - Encrypted session state
+     * @param {string} secret - Session encryption secret
+     * @param {Object} config - ZkLogin configuration for the restored instance
+     * @returns {ZkLogin}
+     */
+    static deserialize(blob, secret, config = {}) {
+        const state = JSON.parse(decrypt(blob, deriveKey(secret, 'zklogin-session-state')).toString('utf8'));
+        const zkLogin = new ZkLogin({ ...config, provider: state.provider || config.provider });
+        zkLogin.restoreState(state);
+        return zkLogin;
+    }
+
     /**
      * Get user address (if available)
      */
@@ -556,6 +1283,13 @@ class ZkLogin {
         return this.nonce ? this.buildOAuthUrl() : null;
     }
 
+    /**
+     * Get zkProof inputs (if generated)
+     */
+    getZkProof() {
+        return this.zkProofInputs;
+    }
+
     /**
      * Get user salt (if available)
      */
@@ -575,14 +1309,282 @@ class ZkLogin {
 
     /**
      * Update user salt (if database is enabled)
+     * For this session's own user this is a rotation (see rotateUserSalt()).
      */
     async updateUserSalt(userIdentifier, provider, newSalt) {
         if (this.config.useDatabase && this.saltDatabase) {
+            if (this.jwt && provider === this.config.provider && userIdentifier === this.extractSubFromJWT(this.jwt)) {
+                await this.rotateUserSalt({ salt: newSalt });
+                return true;
+            }
             return await this.saltDatabase.updateUserSalt(userIdentifier, provider, newSalt);
         }
         throw new Error('Database not enabled');
     }
 
+    /**
+     * Move this user to a new salt, and so to a new address
+     * The old salt and its address stay in the salt history. The new salt is
+     * recorded there as pending before anything else happens. With migrateAssets
+     * the objects at the old address are then transferred to the new one,
+     * signed with a proof for the old salt; the salt only becomes current once
+     * that transaction has executed. If it cannot be made current after assets
+     * moved, SALT_ROTATION_INCOMPLETE carries the salt and its address.
+     * @param {Object} [options] - { salt (random when omitted), migrateAssets, objectIds, zkProof }
+     * @returns {Promise<Object>} - { previousAddress, userAddress, userSalt, migration }
+     */
+    async rotateUserSalt(options = {}) {
+        if (!this.config.useDatabase || !this.saltDatabase || !['random', 'hkdf'].includes(this.config.saltStrategy)) {
+            throw new ZkLoginError('Salt rotation needs the random or hkdf salt strategy with the database', 'SALT_ROTATION_UNSUPPORTED');
+        }
+        if (!this.jwt || !this.userAddress) {
+            throw new Error('User address not available. Process JWT first.');
+        }
+        if (this.multiSig) {
+            // The MultiSig address is built from the zkLogin public key of the current salt
+            throw new ZkLoginError('Remove the MultiSig account before rotating the salt', 'SALT_ROTATION_UNSUPPORTED');
+        }
+
+        const newSalt = options.salt || this.saltDatabase.generateSalt();
+        if (!/^(0x)?[0-9a-fA-F]{1,32}$/.test(newSalt)) {
+            throw new ZkLoginError('Salt must be at most 16 bytes of hex', 'SALT_INVALID');
+        }
+        const { address: newAddress } = deriveAddress(this.decodedJWT.payload, newSalt, this.getDerivationOptions());
+        if (newAddress === this.userAddress) {
+            throw new ZkLoginError('The new salt produces the current address', 'SALT_UNCHANGED');
+        }
+
+        const zkProof = options.migrateAssets
+            ? options.zkProof || this.zkProofInputs || (await this.generateZkProof()).zkProof
+            : null;
+
+        const subject = this.extractSubFromJWT(this.jwt);
+        const provider = this.config.provider;
+        if (!(await this.saltDatabase.getSaltRecord(subject, provider))) {
+            // A derived salt is not stored: record it first so its address stays listed
+            await this.saltDatabase.setSaltOverride(subject, provider, this.userSalt, { address: this.userAddress, reason: 'derived' });
+        }
+        const pendingVersion = await this.saltDatabase.addPendingSalt(subject, provider, newSalt, { address: newAddress });
+
+        let migration = null;
+        if (options.migrateAssets) {
+            // A transfer that throws may still have executed, so its pending salt is kept
+            migration = await this.transferOwnedObjects(newAddress, { objectIds: options.objectIds, zkProof });
+            if (migration.execution.status !== 'success') {
+                await this.saltDatabase.discardPendingSalt(subject, provider, pendingVersion);
+                throw new TransactionExecutionError(
+                    'Moving assets to the new address did not succeed; the salt was not changed',
+                    'ASSET_MIGRATION_FAILED',
+                    { digest: migration.execution.digest, status: migration.execution.status }
+                );
+            }
+        }
+
+        try {
+            await this.saltDatabase.activatePendingSalt(subject, provider, pendingVersion);
+        } catch (error) {
+            throw new ZkLoginError(
+                `The new salt could not be made current (${error.message}); it stays in the salt history as pending`,
+                'SALT_ROTATION_INCOMPLETE',
+                { salt: newSalt, address: newAddress, version: pendingVersion, digest: migration ? migration.execution.digest : undefined }
+            );
+        }
+
+        const previousAddress = this.userAddress;
+        this.userSalt = newSalt;
+        this.userAddress = newAddress;
+        this.zkProofInputs = null;
+        await this.accounts.recordSignIn(this.getIdentity());
+        return { previousAddress, userAddress: newAddress, userSalt: newSalt, migration };
+    }
+
+    /**
+     * Transfer objects owned by this user's address, and its SUI, to another address
+     * Without objectIds, every PhotoNFT of the network's NFT package is moved.
+     * The gas coin goes along, so the whole SUI balance ends up at the recipient.
+     * @param {string} recipient - Address to move to
+     * @param {Object} [options] - { objectIds, zkProof }
+     * @returns {Promise<Object>} - { objectIds, execution }
+     */
+    async transferOwnedObjects(recipient, options = {}) {
+        if (!this.userAddress) {
+            throw new Error('User address not available. Process JWT first.');
+        }
+
+        let objectIds = options.objectIds;
+        if (!objectIds) {
+            const nftType = this.getPhotoNftType();
+            objectIds = nftType ? await this.getOwnedObjectIds({ StructType: nftType }) : [];
+        }
+
+        const execution = await this.signAndExecuteTransaction({
+            commands: [{
+                transferObjects: {
+                    objects: [...objectIds.map((id) => ({ object: id })), { gas: true }],
+                    address: recipient
+                }
+            }]
+        }, options.zkProof);
+        return { objectIds, execution };
+    }
+
+    /**
+     * Move type of the network's PhotoNFTs, or null when no NFT package is configured
+     */
+    getPhotoNftType() {
+        const nftPackage = this.network.packageIds.nft;
+        return nftPackage ? `${nftPackage}::photo_nft::PhotoNFT` : null;
+    }
+
+    /**
+     * List the objects an address owns
+     * @param {string} owner - Address to list
+     * @param {Object} [filter] - Sui object filter, e.g. { StructType }
+     * @returns {Promise<Array>} - [{ objectId, type, display }]
+     */
+    async getOwnedObjects(owner, filter) {
+        const objects = [];
+        let cursor = null;
+        do {
+            const page = await this.suiClient.getOwnedObjects({
+                owner,
+                filter,
+                cursor,
+                options: { showType: true, showDisplay: true }
+            });
+            objects.push(...page.data.filter((entry) => entry.data).map(({ data }) => ({
+                objectId: data.objectId,
+                type: data.type || null,
+                display: data.display && data.display.data ? data.display.data : null
+            })));
+            cursor = page.hasNextPage ? page.nextCursor : null;
+        } while (cursor);
+        return objects;
+    }
+
+    /**
+     * List the IDs of objects this user's address owns
+     * @param {Object} [filter] - Sui object filter, e.g. { StructType }
+     */
+    async getOwnedObjectIds(filter) {
+        return (await this.getOwnedObjects(this.userAddress, filter)).map((object) => object.objectId);
+    }
+
+    /**
+     * The signed-in identity: { issuer, subject, provider, address }
+     */
+    getIdentity() {
+        if (!this.decodedJWT) {
+            throw new Error('User address not available. Process JWT first.');
+        }
+        return {
+            issuer: this.decodedJWT.payload.iss,
+            subject: this.extractSubFromJWT(this.jwt),
+            provider: this.config.provider,
+            address: this.userAddress
+        };
+    }
+
+    /**
+     * Accounts need the salt database
+     */
+    requireAccounts() {
+        if (!this.accounts) {
+            throw new ZkLoginError('Accounts need the salt database (useDatabase)', 'ACCOUNTS_UNAVAILABLE');
+        }
+        return this.accounts;
+    }
+
+    /**
+     * Get the account of the signed-in identity
+     * Addresses are those of every linked identity; with includeNfts the
+     * PhotoNFTs each of them owns are listed too.
+     * @param {Object} [options] - { includeNfts }
+     * @returns {Promise<Object>} - { id, createdAt, identities, addresses, nfts }
+     */
+    async getAccount(options = {}) {
+        const accounts = this.requireAccounts();
+        const identity = this.getIdentity();
+        const account = await accounts.getAccount(await accounts.recordSignIn(identity));
+
+        account.identities = account.identities.map((entry) => ({
+            ...entry,
+            current: entry.issuer === identity.issuer && entry.subject === identity.subject
+        }));
+        account.addresses = [...new Set(account.identities.map((entry) => entry.address).filter(Boolean))];
+
+        if (options.includeNfts) {
+            const nftType = this.getPhotoNftType();
+            account.nfts = [];
+            for (const address of nftType ? account.addresses : []) {
+                const owned = await this.getOwnedObjects(address, { StructType: nftType });
+                account.nfts.push(...owned.map((object) => ({ ...object, owner: address })));
+            }
+        }
+        return account;
+    }
+
+    /**
+     * Link another signed-in identity to this one's account
+     * Both logins must have been verified in this session: `other` is a ZkLogin
+     * instance that processed a JWT for the identity being linked, with a nonce
+     * of its own. Neither JWT may have expired.
+     * @param {ZkLogin} other - Session of the identity to link
+     * @returns {Promise<Object>} - The account, see AccountStore.getAccount()
+     */
+    async linkIdentity(other) {
+        const accounts = this.requireAccounts();
+        if (!other) {
+            throw new ZkLoginError('Both identities must sign in before they can be linked', 'ACCOUNT_LINK_UNVERIFIED');
+        }
+        this.assertLoginCurrent('ACCOUNT_LINK_UNVERIFIED');
+        other.assertLoginCurrent('ACCOUNT_LINK_UNVERIFIED');
+        return accounts.linkIdentities(this.getIdentity(), other.getIdentity());
+    }
+
+    /**
+     * Check that this session holds a verified JWT that has not expired
+     * Required before acting for the identity beyond signing (MultiSig setup, linking,
+     * data export, erasure).
+     * @param {string} [code] - Error code to throw with
+     */
+    assertLoginCurrent(code = 'LOGIN_REQUIRED') {
+        if (!this.decodedJWT) {
+            throw new ZkLoginError('Sign in first', code);
+        }
+        const { exp } = this.decodedJWT.payload;
+        if (exp !== undefined && exp <= Math.floor(Date.now() / 1000)) {
+            throw new ZkLoginError(`The ${this.config.provider} login has expired; sign in again`, code);
+        }
+    }
+
+    /**
+     * Move an identity out of this user's account
+     * This session's login must not have expired.
+     * @param {Object} identity - { issuer, subject }
+     * @returns {Promise<string>} - ID of the identity's new account
+     */
+    async unlinkIdentity(identity) {
+        const accounts = this.requireAccounts();
+        this.assertLoginCurrent('ACCOUNT_LINK_UNVERIFIED');
+        const accountId = await accounts.recordSignIn(this.getIdentity());
+        return accounts.unlinkIdentity(accountId, identity);
+    }
+
+    /**
+     * Get the salts this user has had, with the address each produced
+     * @returns {Promise<Array>} - See UserSaltDatabase.getSaltHistory(); empty without the database
+     */
+    async getSaltHistory() {
+        if (!this.jwt) {
+            throw new Error('User address not available. Process JWT first.');
+        }
+        if (!this.config.useDatabase || !this.saltDatabase) {
+            return [];
+        }
+        return this.saltDatabase.getSaltHistory(this.extractSubFromJWT(this.jwt), this.config.provider);
+    }
+
     /**
      * Delete user salt (if database is enabled)
      */
@@ -594,13 +1596,20 @@ class ZkLogin {
     }
 
     /**
-     * Close database connection (if database is enabled)
+     * Close database connection (if database is enabled and not shared)
      */
     closeDatabase() {
-        if (this.config.useDatabase && this.saltDatabase) {
+        if (this.config.useDatabase && this.saltDatabase && this.ownsDatabase) {
             this.saltDatabase.close();
         }
     }
 }
 
-module.exports = { ZkLogin, PROVIDERS };
\ No newline at end of file
+module.exports = {
+    ZkLogin,
+    PROVIDERS,
+    registerProvider,
+    getProviderCredentials,
+    toSaltBigInt,
+    oidcDiscovery
+};
\ No newline at end of file